@@ -1,267 +1,2591 @@
 // ATMSystem.js
 
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// Digits after the decimal point for each supported currency.
+const CurrencyDecimals = Object.freeze({
+  USD: 2,
+  EUR: 2,
+  GBP: 2,
+  JPY: 0,
+});
+
+const CurrencySymbols = Object.freeze({
+  USD: "$",
+  EUR: "€",
+  GBP: "£",
+  JPY: "¥",
+});
+
+class CurrencyMismatchError extends Error {
+  constructor(expected, actual) {
+    super(`Currency mismatch: expected ${expected} but got ${actual}.`);
+    this.name = "CurrencyMismatchError";
+    this.expected = expected;
+    this.actual = actual;
+  }
+}
+
+// Immutable amount of money held as an integer number of minor units (cents
+// for USD) so arithmetic never drifts the way floats do.
+class Money {
+  constructor(minorUnits, currency = "USD") {
+    if (!Number.isSafeInteger(minorUnits)) {
+      throw new Error("Money must be a whole number of minor units.");
+    }
+    if (!(currency in CurrencyDecimals)) {
+      throw new Error(`Unsupported currency: ${currency}.`);
+    }
+    this.minorUnits = minorUnits;
+    this.currency = currency;
+    Object.freeze(this);
+  }
+
+  // Builds Money from a major-unit amount such as 12.5 (dollars).
+  static of(amount, currency = "USD") {
+    if (!(currency in CurrencyDecimals)) {
+      throw new Error(`Unsupported currency: ${currency}.`);
+    }
+    const scaled = amount * 10 ** CurrencyDecimals[currency];
+    return new Money(Math.round(Number(scaled.toFixed(6))), currency);
+  }
+
+  static zero(currency = "USD") {
+    return new Money(0, currency);
+  }
+
+  static fromJSON(data) {
+    return new Money(data.minorUnits, data.currency);
+  }
+
+  getMinorUnits() {
+    return this.minorUnits;
+  }
+
+  getCurrency() {
+    return this.currency;
+  }
+
+  toMajorUnits() {
+    return this.minorUnits / 10 ** CurrencyDecimals[this.currency];
+  }
+
+  assertSameCurrency(other) {
+    if (!(other instanceof Money)) {
+      throw new Error("Expected a Money value.");
+    }
+    if (other.currency !== this.currency) {
+      throw new CurrencyMismatchError(this.currency, other.currency);
+    }
+  }
+
+  add(other) {
+    this.assertSameCurrency(other);
+    return new Money(this.minorUnits + other.minorUnits, this.currency);
+  }
+
+  subtract(other) {
+    this.assertSameCurrency(other);
+    return new Money(this.minorUnits - other.minorUnits, this.currency);
+  }
+
+  multiply(factor) {
+    return new Money(Math.round(this.minorUnits * factor), this.currency);
+  }
+
+  negate() {
+    return new Money(-this.minorUnits, this.currency);
+  }
+
+  abs() {
+    return new Money(Math.abs(this.minorUnits), this.currency);
+  }
+
+  compareTo(other) {
+    this.assertSameCurrency(other);
+    return Math.sign(this.minorUnits - other.minorUnits);
+  }
+
+  equals(other) {
+    return (
+      other instanceof Money &&
+      other.currency === this.currency &&
+      other.minorUnits === this.minorUnits
+    );
+  }
+
+  greaterThan(other) {
+    return this.compareTo(other) > 0;
+  }
+
+  lessThan(other) {
+    return this.compareTo(other) < 0;
+  }
+
+  isZero() {
+    return this.minorUnits === 0;
+  }
+
+  isPositive() {
+    return this.minorUnits > 0;
+  }
+
+  isNegative() {
+    return this.minorUnits < 0;
+  }
+
+  toJSON() {
+    return { minorUnits: this.minorUnits, currency: this.currency };
+  }
+
+  toString() {
+    const decimals = CurrencyDecimals[this.currency];
+    const sign = this.minorUnits < 0 ? "-" : "";
+    const major = (Math.abs(this.minorUnits) / 10 ** decimals).toFixed(
+      decimals
+    );
+    return `${sign}${CurrencySymbols[this.currency]}${major}`;
+  }
+}
+
+// Converts between currencies and charges a percentage fee on anything that
+// crosses a currency boundary. Swap in another table with the same
+// convert()/getFee() methods to change where rates come from.
+class ExchangeRateTable {
+  constructor(feeRate = 0.02) {
+    this.rates = new Map();
+    this.feeRate = feeRate;
+  }
+
+  setRate(fromCurrency, toCurrency, rate) {
+    if (rate <= 0) {
+      throw new Error("Exchange rate must be greater than zero.");
+    }
+    this.rates.set(`${fromCurrency}:${toCurrency}`, rate);
+  }
+
+  getRate(fromCurrency, toCurrency) {
+    if (fromCurrency === toCurrency) {
+      return 1;
+    }
+    if (this.rates.has(`${fromCurrency}:${toCurrency}`)) {
+      return this.rates.get(`${fromCurrency}:${toCurrency}`);
+    }
+    if (this.rates.has(`${toCurrency}:${fromCurrency}`)) {
+      return 1 / this.rates.get(`${toCurrency}:${fromCurrency}`);
+    }
+    throw new Error(`No exchange rate from ${fromCurrency} to ${toCurrency}.`);
+  }
+
+  convert(money, toCurrency) {
+    if (money.getCurrency() === toCurrency) {
+      return money;
+    }
+    const rate = this.getRate(money.getCurrency(), toCurrency);
+    const decimalShift =
+      CurrencyDecimals[toCurrency] - CurrencyDecimals[money.getCurrency()];
+    return new Money(
+      Math.round(money.getMinorUnits() * rate * 10 ** decimalShift),
+      toCurrency
+    );
+  }
+
+  // Fee for converting `money` into `toCurrency`, in the target currency.
+  getFee(money, toCurrency) {
+    if (money.getCurrency() === toCurrency) {
+      return Money.zero(toCurrency);
+    }
+    return this.convert(money, toCurrency).multiply(this.feeRate);
+  }
+
+  toJSON() {
+    return { feeRate: this.feeRate, rates: [...this.rates] };
+  }
+
+  static fromJSON(data) {
+    const table = new ExchangeRateTable(data.feeRate);
+    table.rates = new Map(data.rates);
+    return table;
+  }
+}
+
+// Salted scrypt hashes for PINs. verify() compares in constant time so the
+// response time does not reveal how much of a guess was right.
+class PinHasher {
+  static hash(pin, salt = crypto.randomBytes(16).toString("hex")) {
+    const hash = crypto.scryptSync(String(pin), salt, 32).toString("hex");
+    return { salt, hash };
+  }
+
+  static verify(pin, salt, hash) {
+    const expected = Buffer.from(hash, "hex");
+    const actual = crypto.scryptSync(String(pin), salt, expected.length);
+    return crypto.timingSafeEqual(actual, expected);
+  }
+}
+
 class Card {
   constructor(cardNumber, pin, accountNumber) {
     this.cardNumber = cardNumber;
-    this.pin = pin;
     this.accountNumber = accountNumber;
+    this.setPin(pin);
+  }
+
+  getCardNumber() {
+    return this.cardNumber;
+  }
+
+  verifyPin(pin) {
+    return PinHasher.verify(pin, this.pinSalt, this.pinHash);
+  }
+
+  setPin(pin) {
+    if (!/^\d{4,6}$/.test(pin)) {
+      throw new Error("PIN must be 4 to 6 digits.");
+    }
+    const { salt, hash } = PinHasher.hash(pin);
+    this.pinSalt = salt;
+    this.pinHash = hash;
+  }
+
+  toJSON() {
+    return {
+      cardNumber: this.cardNumber,
+      accountNumber: this.accountNumber,
+      pinSalt: this.pinSalt,
+      pinHash: this.pinHash,
+    };
+  }
+
+  // Restores a card from its stored hash without ever seeing the PIN.
+  static fromJSON(data) {
+    const card = Object.create(Card.prototype);
+    card.cardNumber = data.cardNumber;
+    card.accountNumber = data.accountNumber;
+    card.pinSalt = data.pinSalt;
+    card.pinHash = data.pinHash;
+    return card;
+  }
+
+  getAccountNumber() {
+    return this.accountNumber;
+  }
+}
+
+const AccountType = Object.freeze({
+  CHECKING: "CHECKING",
+  SAVINGS: "SAVINGS",
+});
+
+class Account {
+  constructor(
+    accountNumber,
+    balance = Money.zero(),
+    accountType = AccountType.CHECKING
+  ) {
+    if (!(balance instanceof Money)) {
+      throw new Error("Balance must be a Money value.");
+    }
+    if (!Object.values(AccountType).includes(accountType)) {
+      throw new Error("Invalid account type.");
+    }
+    this.accountNumber = accountNumber;
+    this.balance = balance;
+    this.accountType = accountType;
+    this.heldAmount = Money.zero(balance.getCurrency());
+    this.overdraftLimit = Money.zero(balance.getCurrency());
+  }
+
+  getAccountNumber() {
+    return this.accountNumber;
+  }
+
+  getAccountType() {
+    return this.accountType;
+  }
+
+  getCurrency() {
+    return this.balance.getCurrency();
+  }
+
+  getBalance() {
+    return this.balance;
+  }
+
+  // Funds that can still be debited, including any overdraft allowance.
+  getAvailableBalance() {
+    return this.balance.subtract(this.heldAmount).add(this.overdraftLimit);
+  }
+
+  setOverdraftLimit(limit) {
+    this.balance.assertSameCurrency(limit);
+    if (limit.isNegative()) {
+      throw new Error("Overdraft limit cannot be negative.");
+    }
+    this.overdraftLimit = limit;
+  }
+
+  debit(amount) {
+    this.balance.assertSameCurrency(amount);
+    if (!amount.isPositive()) {
+      throw new Error("Amount to debit should be greater than zero.");
+    }
+    if (amount.greaterThan(this.getAvailableBalance())) {
+      throw new Error("Insufficient funds.");
+    }
+    this.balance = this.balance.subtract(amount);
+  }
+
+  placeHold(amount) {
+    this.balance.assertSameCurrency(amount);
+    if (!amount.isPositive()) {
+      throw new Error("Amount to hold should be greater than zero.");
+    }
+    if (amount.greaterThan(this.getAvailableBalance())) {
+      throw new Error("Insufficient funds.");
+    }
+    this.heldAmount = this.heldAmount.add(amount);
+  }
+
+  releaseHold(amount) {
+    if (amount.greaterThan(this.heldAmount)) {
+      throw new Error("Cannot release more than the held amount.");
+    }
+    this.heldAmount = this.heldAmount.subtract(amount);
+  }
+
+  captureHold(amount) {
+    this.releaseHold(amount);
+    this.balance = this.balance.subtract(amount);
+  }
+
+  credit(amount) {
+    this.balance.assertSameCurrency(amount);
+    if (!amount.isPositive()) {
+      throw new Error("Amount to credit should be greater than zero.");
+    }
+    this.balance = this.balance.add(amount);
+  }
+
+  // Holds belong to in-flight withdrawals and are rebuilt from the journal,
+  // so only the settled balance is stored.
+  toJSON() {
+    return {
+      accountNumber: this.accountNumber,
+      accountType: this.accountType,
+      balance: this.balance,
+      overdraftLimit: this.overdraftLimit,
+    };
+  }
+
+  static fromJSON(data) {
+    const account = new Account(
+      data.accountNumber,
+      Money.fromJSON(data.balance),
+      data.accountType
+    );
+    account.setOverdraftLimit(Money.fromJSON(data.overdraftLimit));
+    return account;
+  }
+}
+
+const TransactionStatus = Object.freeze({
+  PENDING: "PENDING",
+  RESERVED: "RESERVED",
+  COMMITTED: "COMMITTED",
+  REVERSED: "REVERSED",
+});
+
+const TransactionType = Object.freeze({
+  WITHDRAWAL: "WITHDRAWAL",
+  DEPOSIT: "DEPOSIT",
+  TRANSFER: "TRANSFER",
+  REVERSAL: "REVERSAL",
+});
+
+class Transaction {
+  constructor(account, amount, atmId = null) {
+    if (this.constructor === Transaction) {
+      throw new Error("Abstract classes cannot be instantiated.");
+    }
+    this.transactionId = `TXN${Transaction.nextId++}`;
+    account.balance.assertSameCurrency(amount);
+    this.account = account;
+    this.amount = amount;
+    this.atmId = atmId;
+    this.status = TransactionStatus.PENDING;
+    this.timestamp = new Date();
+  }
+
+  getTransactionId() {
+    return this.transactionId;
+  }
+
+  getStatus() {
+    return this.status;
+  }
+
+  // Accounts whose balance this transaction can change.
+  getAccounts() {
+    return [this.account];
+  }
+
+  getType() {
+    throw new Error('Method "getType()" must be implemented.');
+  }
+
+  execute() {
+    throw new Error('Method "execute()" must be implemented.');
+  }
+
+  // Undoes the effect of this transaction on the account. Called by
+  // ReversalTransaction only.
+  undo() {
+    throw new Error('Method "undo()" must be implemented.');
+  }
+}
+
+Transaction.nextId = 1;
+
+// Withdrawals run in two phases: reserve() holds the funds while the cash is
+// dispensed, and commit() turns the hold into a debit.
+class WithdrawalTransaction extends Transaction {
+  getType() {
+    return TransactionType.WITHDRAWAL;
+  }
+
+  reserve() {
+    if (this.status !== TransactionStatus.PENDING) {
+      throw new Error(
+        `Transaction ${this.transactionId} is already ${this.status}.`
+      );
+    }
+    this.account.placeHold(this.amount);
+    this.status = TransactionStatus.RESERVED;
+  }
+
+  commit() {
+    if (this.status !== TransactionStatus.RESERVED) {
+      throw new Error(
+        `Transaction ${this.transactionId} has no reserved funds.`
+      );
+    }
+    this.account.captureHold(this.amount);
+    this.status = TransactionStatus.COMMITTED;
+    console.log(`Withdrawal of ${this.amount} successful.`);
+  }
+
+  execute() {
+    this.reserve();
+    this.commit();
+  }
+
+  undo() {
+    if (this.status === TransactionStatus.RESERVED) {
+      this.account.releaseHold(this.amount);
+    } else if (this.status === TransactionStatus.COMMITTED) {
+      this.account.credit(this.amount);
+    }
+  }
+}
+
+class DepositTransaction extends Transaction {
+  getType() {
+    return TransactionType.DEPOSIT;
+  }
+
+  execute() {
+    this.account.credit(this.amount);
+    this.status = TransactionStatus.COMMITTED;
+    console.log(`Deposit of ${this.amount} successful.`);
+  }
+
+  undo() {
+    if (this.status === TransactionStatus.COMMITTED) {
+      this.account.debit(this.amount);
+    }
+  }
+}
+
+class TransferTransaction extends Transaction {
+  constructor(account, targetAccount, amount, atmId = null) {
+    super(account, amount, atmId);
+    if (account === targetAccount) {
+      throw new Error("Cannot transfer to the same account.");
+    }
+    if (account.getCurrency() !== targetAccount.getCurrency()) {
+      throw new CurrencyMismatchError(
+        account.getCurrency(),
+        targetAccount.getCurrency()
+      );
+    }
+    this.targetAccount = targetAccount;
+  }
+
+  getType() {
+    return TransactionType.TRANSFER;
+  }
+
+  getAccounts() {
+    return [this.account, this.targetAccount];
+  }
+
+  execute() {
+    this.account.debit(this.amount);
+    this.targetAccount.credit(this.amount);
+    this.status = TransactionStatus.COMMITTED;
+    console.log(
+      `Transfer of ${this.amount} to ${this.targetAccount.getAccountNumber()} successful.`
+    );
+  }
+
+  undo() {
+    if (this.status === TransactionStatus.COMMITTED) {
+      this.targetAccount.debit(this.amount);
+      this.account.credit(this.amount);
+    }
+  }
+}
+
+class ReversalTransaction extends Transaction {
+  constructor(original, reason) {
+    super(original.account, original.amount, original.atmId);
+    this.original = original;
+    this.reason = reason;
+  }
+
+  getType() {
+    return TransactionType.REVERSAL;
+  }
+
+  getAccounts() {
+    return this.original.getAccounts();
+  }
+
+  execute() {
+    if (this.original.getStatus() === TransactionStatus.REVERSED) {
+      throw new Error(
+        `Transaction ${this.original.getTransactionId()} is already reversed.`
+      );
+    }
+    this.original.undo();
+    this.original.status = TransactionStatus.REVERSED;
+    this.status = TransactionStatus.COMMITTED;
+    console.log(
+      `Reversed ${this.original.getTransactionId()} (${this.amount}): ${this.reason}`
+    );
+  }
+
+  undo() {
+    throw new Error("Reversals cannot be undone.");
+  }
+}
+
+// Append-only record of every balance change. Entries are frozen and only
+// ever handed out as copies of the list.
+class Ledger {
+  constructor() {
+    this.entries = [];
+    this.nextEntryId = 1;
+  }
+
+  append(transaction, account, balanceBefore, balanceAfter) {
+    const entry = Object.freeze({
+      entryId: `LED${this.nextEntryId++}`,
+      transactionId: transaction.getTransactionId(),
+      type: transaction.getType(),
+      accountNumber: account.getAccountNumber(),
+      amount: transaction.amount,
+      balanceBefore,
+      balanceAfter,
+      atmId: transaction.atmId,
+      timestamp: new Date(),
+    });
+    this.entries.push(entry);
+    return entry;
+  }
+
+  getEntries(accountNumber = null) {
+    return this.entries.filter(
+      (entry) => accountNumber === null || entry.accountNumber === accountNumber
+    );
+  }
+
+  getLastEntries(accountNumber, count) {
+    return count > 0 ? this.getEntries(accountNumber).slice(-count) : [];
+  }
+
+  hasTransaction(transactionId) {
+    return this.entries.some((entry) => entry.transactionId === transactionId);
+  }
+
+  toJSON() {
+    return { nextEntryId: this.nextEntryId, entries: this.entries };
+  }
+
+  static fromJSON(data) {
+    const ledger = new Ledger();
+    ledger.nextEntryId = data.nextEntryId;
+    ledger.entries = data.entries.map((entry) =>
+      Object.freeze({
+        ...entry,
+        amount: Money.fromJSON(entry.amount),
+        balanceBefore: Money.fromJSON(entry.balanceBefore),
+        balanceAfter: Money.fromJSON(entry.balanceAfter),
+        timestamp: new Date(entry.timestamp),
+      })
+    );
+    return ledger;
+  }
+}
+
+// Decides whether the credentials presented with a card are genuine. The bank
+// uses PINs by default; other methods (such as one-time codes) plug in by
+// extending this class.
+class AuthenticationProvider {
+  constructor() {
+    if (this.constructor === AuthenticationProvider) {
+      throw new Error("Abstract classes cannot be instantiated.");
+    }
+  }
+
+  authenticate(card, credentials) {
+    throw new Error('Method "authenticate()" must be implemented.');
+  }
+}
+
+class PinAuthenticationProvider extends AuthenticationProvider {
+  authenticate(card, pin) {
+    return card.verifyPin(pin);
+  }
+}
+
+const LockoutEventType = Object.freeze({
+  LOCKED: "LOCKED",
+  ACCESS_DENIED: "ACCESS_DENIED",
+  UNLOCKED: "UNLOCKED",
+  ATTEMPTS_RESET: "ATTEMPTS_RESET",
+});
+
+class CardLockedError extends Error {
+  constructor(cardNumber) {
+    super(`Card ${cardNumber} is locked.`);
+    this.name = "CardLockedError";
+    this.cardNumber = cardNumber;
+  }
+}
+
+class PolicyViolationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = this.constructor.name;
+  }
+}
+
+class AmountBelowMinimumError extends PolicyViolationError {
+  constructor(amount, minimum) {
+    super(`Amount ${amount} is below the minimum of ${minimum}.`);
+    this.amount = amount;
+    this.minimum = minimum;
+  }
+}
+
+class AmountAboveMaximumError extends PolicyViolationError {
+  constructor(amount, maximum) {
+    super(
+      `Amount ${amount} is above the per-transaction maximum of ${maximum}.`
+    );
+    this.amount = amount;
+    this.maximum = maximum;
+  }
+}
+
+class DailyLimitExceededError extends PolicyViolationError {
+  constructor(scope, id, limit, used) {
+    super(
+      `Daily ${scope} limit of ${limit} exceeded for ${id} (${used} already used).`
+    );
+    this.scope = scope;
+    this.id = id;
+    this.limit = limit;
+    this.used = used;
+  }
+}
+
+class TransactionCountExceededError extends PolicyViolationError {
+  constructor(scope, id, limit) {
+    super(`Daily limit of ${limit} transactions reached for ${scope} ${id}.`);
+    this.scope = scope;
+    this.id = id;
+    this.limit = limit;
+  }
+}
+
+// Limits that apply to money leaving an account (withdrawals and transfers).
+// The minimum amount applies to cash withdrawals only. All limits share one
+// currency; amounts in other currencies are converted before they are
+// checked. Daily totals reset at `businessDayStartHour` local time rather
+// than midnight.
+class TransactionPolicy {
+  constructor({
+    minAmount = Money.of(20),
+    maxAmount = Money.of(1000),
+    dailyCardLimit = Money.of(1500),
+    dailyAccountLimit = Money.of(2500),
+    maxDailyTransactions = 10,
+    overdraftAllowances = {
+      [AccountType.CHECKING]: Money.of(100),
+      [AccountType.SAVINGS]: Money.zero(),
+    },
+    businessDayStartHour = 0,
+  } = {}) {
+    if (businessDayStartHour < 0 || businessDayStartHour > 23) {
+      throw new Error("Business day must start between 0 and 23 hours.");
+    }
+    for (const limit of [
+      maxAmount,
+      dailyCardLimit,
+      dailyAccountLimit,
+      ...Object.values(overdraftAllowances),
+    ]) {
+      minAmount.assertSameCurrency(limit);
+    }
+    this.currency = minAmount.getCurrency();
+    this.minAmount = minAmount;
+    this.maxAmount = maxAmount;
+    this.dailyCardLimit = dailyCardLimit;
+    this.dailyAccountLimit = dailyAccountLimit;
+    this.maxDailyTransactions = maxDailyTransactions;
+    this.overdraftAllowances = { ...overdraftAllowances };
+    this.businessDayStartHour = businessDayStartHour;
+  }
+
+  getCurrency() {
+    return this.currency;
+  }
+
+  getOverdraftAllowance(accountType) {
+    return this.overdraftAllowances[accountType] || Money.zero(this.currency);
+  }
+
+  getBusinessDay(date) {
+    const shifted = new Date(
+      date.getTime() - this.businessDayStartHour * 60 * 60 * 1000
+    );
+    const month = String(shifted.getMonth() + 1).padStart(2, "0");
+    const day = String(shifted.getDate()).padStart(2, "0");
+    return `${shifted.getFullYear()}-${month}-${day}`;
+  }
+
+  checkAmount(amount, type) {
+    if (
+      type === TransactionType.WITHDRAWAL &&
+      amount.lessThan(this.minAmount)
+    ) {
+      throw new AmountBelowMinimumError(amount, this.minAmount);
+    }
+    if (amount.greaterThan(this.maxAmount)) {
+      throw new AmountAboveMaximumError(amount, this.maxAmount);
+    }
+  }
+
+  checkDailyUsage(scope, id, usage, amount) {
+    const limit =
+      scope === "card" ? this.dailyCardLimit : this.dailyAccountLimit;
+    if (usage.count + 1 > this.maxDailyTransactions) {
+      throw new TransactionCountExceededError(
+        scope,
+        id,
+        this.maxDailyTransactions
+      );
+    }
+    if (usage.amount.add(amount).greaterThan(limit)) {
+      throw new DailyLimitExceededError(scope, id, limit, usage.amount);
+    }
+  }
+}
+
+// Running totals per card and per account for the current business day.
+// Usage is remembered per transaction so a reversal can give it back.
+class DailyUsageTracker {
+  constructor(currency = "USD") {
+    this.currency = currency;
+    this.usage = new Map();
+    this.recorded = new Map();
+  }
+
+  get(scope, id, businessDay) {
+    const usage = this.usage.get(`${scope}:${id}`);
+    if (!usage || usage.businessDay !== businessDay) {
+      return { businessDay, amount: Money.zero(this.currency), count: 0 };
+    }
+    return usage;
+  }
+
+  record(transactionId, scopes, businessDay, amount) {
+    for (const [scope, id] of scopes) {
+      const usage = this.get(scope, id, businessDay);
+      this.usage.set(`${scope}:${id}`, {
+        businessDay,
+        amount: usage.amount.add(amount),
+        count: usage.count + 1,
+      });
+    }
+    this.recorded.set(transactionId, { scopes, businessDay, amount });
+  }
+
+  release(transactionId) {
+    const recorded = this.recorded.get(transactionId);
+    if (!recorded) {
+      return;
+    }
+    for (const [scope, id] of recorded.scopes) {
+      const usage = this.usage.get(`${scope}:${id}`);
+      if (usage && usage.businessDay === recorded.businessDay) {
+        usage.amount = usage.amount.subtract(recorded.amount);
+        usage.count -= 1;
+      }
+    }
+    this.recorded.delete(transactionId);
+  }
+
+  toJSON() {
+    return { currency: this.currency, usage: [...this.usage] };
+  }
+
+  static fromJSON(data) {
+    const tracker = new DailyUsageTracker(data.currency);
+    for (const [key, usage] of data.usage) {
+      tracker.usage.set(key, {
+        businessDay: usage.businessDay,
+        amount: Money.fromJSON(usage.amount),
+        count: usage.count,
+      });
+    }
+    return tracker;
+  }
+}
+
+class BankingService {
+  constructor(maxPinAttempts = 3, policy = new TransactionPolicy()) {
+    this.accounts = new Map();
+    this.cards = new Map();
+    this.reversals = [];
+    this.ledger = new Ledger();
+    this.maxPinAttempts = maxPinAttempts;
+    this.failedPinAttempts = new Map();
+    this.lockedCards = new Set();
+    this.lockoutEvents = [];
+    this.policy = policy;
+    this.dailyUsage = new DailyUsageTracker(policy.getCurrency());
+    this.exchangeRates = new ExchangeRateTable();
+    this.authenticationProvider = new PinAuthenticationProvider();
+  }
+
+  setAuthenticationProvider(authenticationProvider) {
+    this.authenticationProvider = authenticationProvider;
+  }
+
+  addAccount(account) {
+    if (this.accounts.has(account.getAccountNumber())) {
+      throw new Error("Account already exists.");
+    }
+    this.applyOverdraftAllowance(account);
+    this.accounts.set(account.getAccountNumber(), account);
+  }
+
+  setPolicy(policy) {
+    if (policy.getCurrency() !== this.policy.getCurrency()) {
+      this.dailyUsage = new DailyUsageTracker(policy.getCurrency());
+    }
+    this.policy = policy;
+    for (const account of this.accounts.values()) {
+      this.applyOverdraftAllowance(account);
+    }
+  }
+
+  applyOverdraftAllowance(account) {
+    account.setOverdraftLimit(
+      this.exchangeRates.convert(
+        this.policy.getOverdraftAllowance(account.getAccountType()),
+        account.getCurrency()
+      )
+    );
+  }
+
+  setExchangeRates(exchangeRates) {
+    this.exchangeRates = exchangeRates;
+  }
+
+  // What the account is charged for `money` paid out in another currency:
+  // the converted amount plus the exchange fee.
+  quoteInAccountCurrency(account, money) {
+    const converted = this.exchangeRates.convert(money, account.getCurrency());
+    const fee = this.exchangeRates.getFee(money, account.getCurrency());
+    return { amount: converted.add(fee), fee };
+  }
+
+  // Checks an outgoing transaction against the policy and, if it passes,
+  // counts it towards today's card and account usage.
+  applyPolicy(transaction, cardNumber) {
+    const amount = this.exchangeRates.convert(
+      transaction.amount,
+      this.policy.getCurrency()
+    );
+    this.policy.checkAmount(amount, transaction.getType());
+    const businessDay = this.policy.getBusinessDay(transaction.timestamp);
+    const scopes = [["account", transaction.account.getAccountNumber()]];
+    if (cardNumber) {
+      scopes.push(["card", cardNumber]);
+    }
+    for (const [scope, id] of scopes) {
+      this.policy.checkDailyUsage(
+        scope,
+        id,
+        this.dailyUsage.get(scope, id, businessDay),
+        amount
+      );
+    }
+    this.dailyUsage.record(
+      transaction.getTransactionId(),
+      scopes,
+      businessDay,
+      amount
+    );
+  }
+
+  getAccount(accountNumber) {
+    if (!this.accounts.has(accountNumber)) {
+      throw new Error("Account not found.");
+    }
+    return this.accounts.get(accountNumber);
+  }
+
+  addCard(card) {
+    if (this.cards.has(card.getCardNumber())) {
+      throw new Error("Card already exists.");
+    }
+    this.cards.set(card.getCardNumber(), card);
+  }
+
+  validateCard(cardNumber, credentials) {
+    // Unknown cards fail like a wrong PIN so callers cannot probe for them.
+    if (!this.cards.has(cardNumber)) {
+      throw new Error("Invalid credentials.");
+    }
+    if (this.isCardLocked(cardNumber)) {
+      this.recordLockoutEvent(LockoutEventType.ACCESS_DENIED, cardNumber);
+      throw new CardLockedError(cardNumber);
+    }
+    const card = this.cards.get(cardNumber);
+    if (!this.authenticationProvider.authenticate(card, credentials)) {
+      this.recordFailedAttempt(cardNumber);
+      throw new Error("Invalid credentials.");
+    }
+    this.failedPinAttempts.delete(cardNumber);
+    return card;
+  }
+
+  // Counts a wrong PIN and locks the card once the limit is reached.
+  recordFailedAttempt(cardNumber) {
+    const attempts = (this.failedPinAttempts.get(cardNumber) || 0) + 1;
+    this.failedPinAttempts.set(cardNumber, attempts);
+    if (attempts >= this.maxPinAttempts) {
+      this.lockedCards.add(cardNumber);
+      this.recordLockoutEvent(LockoutEventType.LOCKED, cardNumber, {
+        attempts,
+      });
+      throw new CardLockedError(cardNumber);
+    }
+  }
+
+  changePin(cardNumber, currentPin, newPin) {
+    const card = this.cards.get(cardNumber);
+    if (!card) {
+      throw new Error("Card not found.");
+    }
+    if (this.isCardLocked(cardNumber)) {
+      this.recordLockoutEvent(LockoutEventType.ACCESS_DENIED, cardNumber);
+      throw new CardLockedError(cardNumber);
+    }
+    if (!card.verifyPin(currentPin)) {
+      this.recordFailedAttempt(cardNumber);
+      throw new Error("Current PIN is incorrect.");
+    }
+    this.failedPinAttempts.delete(cardNumber);
+    if (card.verifyPin(newPin)) {
+      throw new Error("New PIN must be different from the current PIN.");
+    }
+    card.setPin(newPin);
+  }
+
+  isCardLocked(cardNumber) {
+    return this.lockedCards.has(cardNumber);
+  }
+
+  // Null for unknown cards, which have no attempt count to report.
+  getRemainingPinAttempts(cardNumber) {
+    if (!this.cards.has(cardNumber)) {
+      return null;
+    }
+    if (this.isCardLocked(cardNumber)) {
+      return 0;
+    }
+    return this.maxPinAttempts - (this.failedPinAttempts.get(cardNumber) || 0);
+  }
+
+  unlockCard(cardNumber, operatorId) {
+    if (!this.isCardLocked(cardNumber)) {
+      throw new Error("Card is not locked.");
+    }
+    this.lockedCards.delete(cardNumber);
+    this.failedPinAttempts.delete(cardNumber);
+    this.recordLockoutEvent(LockoutEventType.UNLOCKED, cardNumber, {
+      operatorId,
+    });
+  }
+
+  resetPinAttempts(cardNumber, operatorId) {
+    this.failedPinAttempts.delete(cardNumber);
+    this.recordLockoutEvent(LockoutEventType.ATTEMPTS_RESET, cardNumber, {
+      operatorId,
+    });
+  }
+
+  recordLockoutEvent(type, cardNumber, details = {}) {
+    this.lockoutEvents.push({
+      type,
+      cardNumber,
+      timestamp: new Date(),
+      ...details,
+    });
+  }
+
+  getLockoutEvents(cardNumber = null) {
+    return this.lockoutEvents.filter(
+      (event) => cardNumber === null || event.cardNumber === cardNumber
+    );
+  }
+
+  processTransaction(transaction) {
+    this.recordInLedger(transaction, () => transaction.execute());
+  }
+
+  reserveFunds(transaction, cardNumber = null) {
+    this.applyPolicy(transaction, cardNumber);
+    try {
+      transaction.reserve();
+    } catch (error) {
+      this.dailyUsage.release(transaction.getTransactionId());
+      throw error;
+    }
+  }
+
+  commitTransaction(transaction) {
+    this.recordInLedger(transaction, () => transaction.commit());
+  }
+
+  // Runs `operation` and writes one ledger entry per affected account with
+  // its balance before and after.
+  recordInLedger(transaction, operation) {
+    const accounts = transaction.getAccounts();
+    const balancesBefore = accounts.map((account) => account.getBalance());
+    operation();
+    accounts.forEach((account, i) => {
+      this.ledger.append(
+        transaction,
+        account,
+        balancesBefore[i],
+        account.getBalance()
+      );
+    });
+  }
+
+  transfer(
+    fromAccountNumber,
+    toAccountNumber,
+    amount,
+    atmId = null,
+    cardNumber = null
+  ) {
+    const transaction = new TransferTransaction(
+      this.getAccount(fromAccountNumber),
+      this.getAccount(toAccountNumber),
+      amount,
+      atmId
+    );
+    this.applyPolicy(transaction, cardNumber);
+    try {
+      this.processTransaction(transaction);
+    } catch (error) {
+      this.dailyUsage.release(transaction.getTransactionId());
+      throw error;
+    }
+    return transaction;
+  }
+
+  getLedger() {
+    return this.ledger;
+  }
+
+  reverseTransaction(transaction, reason) {
+    const reversal = new ReversalTransaction(transaction, reason);
+    this.processTransaction(reversal);
+    this.dailyUsage.release(transaction.getTransactionId());
+    this.reversals.push(reversal);
+    return reversal;
+  }
+
+  getReversals() {
+    return [...this.reversals];
+  }
+
+  toJSON() {
+    return {
+      nextTransactionId: Transaction.nextId,
+      exchangeRates: this.exchangeRates,
+      accounts: [...this.accounts.values()],
+      cards: [...this.cards.values()],
+      failedPinAttempts: [...this.failedPinAttempts],
+      lockedCards: [...this.lockedCards],
+      lockoutEvents: this.lockoutEvents,
+      ledger: this.ledger,
+      dailyUsage: this.dailyUsage,
+    };
+  }
+
+  static fromJSON(data, maxPinAttempts = 3, policy = new TransactionPolicy()) {
+    const bankingService = new BankingService(maxPinAttempts, policy);
+    bankingService.setExchangeRates(
+      ExchangeRateTable.fromJSON(data.exchangeRates)
+    );
+    // Accounts keep the overdraft limits they were saved with rather than
+    // converting the allowance again at today's rates.
+    for (const account of data.accounts) {
+      const restored = Account.fromJSON(account);
+      if (bankingService.accounts.has(restored.getAccountNumber())) {
+        throw new Error("Account already exists.");
+      }
+      bankingService.accounts.set(restored.getAccountNumber(), restored);
+    }
+    for (const card of data.cards) {
+      bankingService.getAccount(card.accountNumber);
+      bankingService.addCard(Card.fromJSON(card));
+    }
+    bankingService.failedPinAttempts = new Map(data.failedPinAttempts);
+    bankingService.lockedCards = new Set(data.lockedCards);
+    bankingService.lockoutEvents = data.lockoutEvents.map((event) => ({
+      ...event,
+      timestamp: new Date(event.timestamp),
+    }));
+    bankingService.ledger = Ledger.fromJSON(data.ledger);
+    if (data.dailyUsage.currency === policy.getCurrency()) {
+      bankingService.dailyUsage = DailyUsageTracker.fromJSON(data.dailyUsage);
+    }
+    // Never hand out a transaction id that the restored ledger already uses.
+    Transaction.nextId = Math.max(Transaction.nextId, data.nextTransactionId);
+    return bankingService;
+  }
+}
+
+function gcd(a, b) {
+  return b === 0 ? a : gcd(b, a % b);
+}
+
+class AmountNotDispensableError extends Error {
+  constructor(amount, suggestions) {
+    const hint = suggestions.length ? ` Try ${suggestions.join(" or ")}.` : "";
+    super(`Cannot dispense ${amount} with the notes available.${hint}`);
+    this.name = "AmountNotDispensableError";
+    this.amount = amount;
+    this.suggestions = suggestions;
+  }
+}
+
+// Denominations are note face values in whole units of the dispenser's
+// currency (a $20 note has denomination 20).
+class Cassette {
+  constructor(denomination, count = 0, lowThreshold = 10) {
+    if (!Number.isInteger(denomination) || denomination <= 0) {
+      throw new Error("Denomination must be a positive integer.");
+    }
+    if (!Number.isInteger(count) || count < 0) {
+      throw new Error("Note count cannot be negative.");
+    }
+    this.denomination = denomination;
+    this.count = count;
+    this.lowThreshold = lowThreshold;
+  }
+
+  getDenomination() {
+    return this.denomination;
+  }
+
+  getCount() {
+    return this.count;
+  }
+
+  getValue() {
+    return this.denomination * this.count;
+  }
+
+  isLow() {
+    return this.count <= this.lowThreshold;
+  }
+
+  addNotes(count) {
+    if (!Number.isInteger(count) || count <= 0) {
+      throw new Error("Number of notes must be greater than zero.");
+    }
+    this.count += count;
+  }
+
+  removeNotes(count) {
+    if (count > this.count) {
+      throw new Error(`Not enough ${this.denomination} notes.`);
+    }
+    this.count -= count;
+  }
+}
+
+// Dispense strategies pick how many notes to take from each cassette.
+// Cassettes are passed largest denomination first; the result is a Map of
+// denomination -> note count, or null if the amount cannot be made.
+class DispenseStrategy {
+  constructor() {
+    if (this.constructor === DispenseStrategy) {
+      throw new Error("Abstract classes cannot be instantiated.");
+    }
+  }
+
+  selectNotes(amount, cassettes) {
+    throw new Error('Method "selectNotes()" must be implemented.');
+  }
+}
+
+class FewestNotesStrategy extends DispenseStrategy {
+  selectNotes(amount, cassettes) {
+    const unit = cassettes.reduce((g, c) => gcd(g, c.getDenomination()), 0);
+    if (unit === 0 || amount % unit !== 0) {
+      return null;
+    }
+    // Bounded change-making: minNotes[a] is the fewest notes that make a * unit
+    // using the cassettes seen so far, and used[i][a] how many came from cassette i.
+    const target = amount / unit;
+    let minNotes = new Array(target + 1).fill(Infinity);
+    minNotes[0] = 0;
+    const used = [];
+    for (const cassette of cassettes) {
+      const value = cassette.getDenomination() / unit;
+      const next = minNotes.slice();
+      const taken = new Array(target + 1).fill(0);
+      for (let a = value; a <= target; a++) {
+        for (let k = 1; k <= cassette.getCount() && k * value <= a; k++) {
+          const notes = minNotes[a - k * value] + k;
+          if (notes < next[a]) {
+            next[a] = notes;
+            taken[a] = k;
+          }
+        }
+      }
+      used.push(taken);
+      minNotes = next;
+    }
+    if (minNotes[target] === Infinity) {
+      return null;
+    }
+    const notes = new Map();
+    let remaining = target;
+    for (let i = cassettes.length - 1; i >= 0; i--) {
+      const k = used[i][remaining];
+      if (k > 0) {
+        notes.set(cassettes[i].getDenomination(), k);
+        remaining -= k * (cassettes[i].getDenomination() / unit);
+      }
+    }
+    return notes;
+  }
+}
+
+// Takes as many large notes as possible so small notes stay available for
+// amounts that need them.
+class PreserveSmallNotesStrategy extends DispenseStrategy {
+  selectNotes(amount, cassettes) {
+    const notes = new Map();
+    const failed = new Set();
+    const search = (index, remaining) => {
+      if (remaining === 0) {
+        return true;
+      }
+      const key = `${index}:${remaining}`;
+      if (index === cassettes.length || failed.has(key)) {
+        return false;
+      }
+      const denomination = cassettes[index].getDenomination();
+      const max = Math.min(
+        cassettes[index].getCount(),
+        Math.floor(remaining / denomination)
+      );
+      for (let k = max; k >= 0; k--) {
+        if (search(index + 1, remaining - k * denomination)) {
+          if (k > 0) {
+            notes.set(denomination, k);
+          }
+          return true;
+        }
+      }
+      failed.add(key);
+      return false;
+    };
+    return search(0, amount) ? notes : null;
+  }
+}
+
+class CashDispenser {
+  constructor(
+    cassettes = [
+      new Cassette(20, 100),
+      new Cassette(50, 60),
+      new Cassette(100, 50),
+    ],
+    strategy = new FewestNotesStrategy(),
+    currency = "USD"
+  ) {
+    this.cassettes = new Map();
+    for (const cassette of cassettes) {
+      this.cassettes.set(cassette.getDenomination(), cassette);
+    }
+    this.strategy = strategy;
+    this.currency = currency;
+    this.depositedCash = Money.zero(currency);
+    // Bumped on every payout so recovery can tell whether a snapshot was
+    // taken before or after a given dispense.
+    this.dispenseCount = 0;
+  }
+
+  getCurrency() {
+    return this.currency;
+  }
+
+  // Whole number of note units in `amount`, or null if it has a fractional
+  // part no note can make.
+  toNoteUnits(amount) {
+    this.depositedCash.assertSameCurrency(amount);
+    const units = amount.toMajorUnits();
+    return Number.isInteger(units) ? units : null;
+  }
+
+  setStrategy(strategy) {
+    this.strategy = strategy;
+  }
+
+  getCassettes() {
+    return [...this.cassettes.values()].sort(
+      (a, b) => b.getDenomination() - a.getDenomination()
+    );
+  }
+
+  planNotes(amount) {
+    const units = this.toNoteUnits(amount);
+    if (units === null || units <= 0 || units > this.getTotalNoteValue()) {
+      return null;
+    }
+    return this.strategy.selectNotes(units, this.getCassettes());
+  }
+
+  canDispense(amount) {
+    return this.planNotes(amount) !== null;
+  }
+
+  // Nearest amounts on either side of `amount` that the cassettes can make.
+  suggestAmounts(amount) {
+    this.depositedCash.assertSameCurrency(amount);
+    const cassettes = this.getCassettes();
+    if (cassettes.length === 0) {
+      return [];
+    }
+    const requested = amount.toMajorUnits();
+    const limit = Math.min(
+      this.getTotalNoteValue(),
+      Math.floor(requested) + cassettes[0].getDenomination()
+    );
+    const reachable = new Array(limit + 1).fill(false);
+    reachable[0] = true;
+    for (const cassette of cassettes) {
+      const d = cassette.getDenomination();
+      const used = new Array(limit + 1).fill(0);
+      for (let a = d; a <= limit; a++) {
+        if (
+          !reachable[a] &&
+          reachable[a - d] &&
+          used[a - d] < cassette.getCount()
+        ) {
+          reachable[a] = true;
+          used[a] = used[a - d] + 1;
+        }
+      }
+    }
+    const suggestions = [];
+    for (let a = Math.min(Math.ceil(requested) - 1, limit); a > 0; a--) {
+      if (reachable[a]) {
+        suggestions.push(a);
+        break;
+      }
+    }
+    for (let a = Math.floor(requested) + 1; a <= limit; a++) {
+      if (reachable[a]) {
+        suggestions.push(a);
+        break;
+      }
+    }
+    return suggestions.map((units) => Money.of(units, this.currency));
+  }
+
+  dispenseCash(amount) {
+    this.depositedCash.assertSameCurrency(amount);
+    if (!amount.isPositive()) {
+      throw new Error("Amount must be greater than zero.");
+    }
+    if (amount.greaterThan(this.getTotalCash())) {
+      throw new Error("ATM has insufficient cash.");
+    }
+    const notes = this.planNotes(amount);
+    if (!notes) {
+      throw new AmountNotDispensableError(amount, this.suggestAmounts(amount));
+    }
+    for (const [denomination, count] of notes) {
+      this.cassettes.get(denomination).removeNotes(count);
+    }
+    this.dispenseCount++;
+    const breakdown = [...notes]
+      .map(
+        ([denomination, count]) =>
+          `${count} x ${Money.of(denomination, this.currency)}`
+      )
+      .join(", ");
+    console.log(`Dispensed ${amount} (${breakdown})`);
+    return notes;
+  }
+
+  addCash(denomination, count) {
+    if (!this.cassettes.has(denomination)) {
+      this.cassettes.set(denomination, new Cassette(denomination));
+    }
+    this.cassettes.get(denomination).addNotes(count);
+  }
+
+  // Deposited cash goes to a separate bin and is never dispensed again.
+  acceptDeposit(amount) {
+    this.depositedCash.assertSameCurrency(amount);
+    if (!amount.isPositive()) {
+      throw new Error("Amount must be greater than zero.");
+    }
+    this.depositedCash = this.depositedCash.add(amount);
+  }
+
+  getLowCassetteAlerts() {
+    return this.getCassettes()
+      .filter((cassette) => cassette.isLow())
+      .map((cassette) => ({
+        denomination: cassette.getDenomination(),
+        count: cassette.getCount(),
+        threshold: cassette.lowThreshold,
+      }));
+  }
+
+  getTotalNoteValue() {
+    let total = 0;
+    for (const cassette of this.cassettes.values()) {
+      total += cassette.getValue();
+    }
+    return total;
+  }
+
+  getTotalCash() {
+    return Money.of(this.getTotalNoteValue(), this.currency);
   }
 
-  getCardNumber() {
-    return this.cardNumber;
+  toJSON() {
+    return {
+      currency: this.currency,
+      cassettes: this.getCassettes().map((cassette) => ({
+        denomination: cassette.getDenomination(),
+        count: cassette.getCount(),
+        lowThreshold: cassette.lowThreshold,
+      })),
+      depositedCash: this.depositedCash,
+      dispenseCount: this.dispenseCount,
+    };
   }
 
-  getPin() {
-    return this.pin;
+  static fromJSON(data, strategy = new FewestNotesStrategy()) {
+    const dispenser = new CashDispenser(
+      data.cassettes.map(
+        (cassette) =>
+          new Cassette(
+            cassette.denomination,
+            cassette.count,
+            cassette.lowThreshold
+          )
+      ),
+      strategy,
+      data.currency
+    );
+    dispenser.depositedCash = Money.fromJSON(data.depositedCash);
+    dispenser.dispenseCount = data.dispenseCount;
+    return dispenser;
   }
+}
 
-  getAccountNumber() {
-    return this.accountNumber;
+const SNAPSHOT_VERSION = 2;
+
+class SnapshotError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "SnapshotError";
   }
 }
 
-class Account {
-  constructor(accountNumber, balance = 0) {
-    this.accountNumber = accountNumber;
-    this.balance = balance;
+// HMAC over the snapshot data. Without the key an edited file cannot be
+// given a matching signature, so this catches tampering as well as corruption.
+function sign(data, key) {
+  return crypto
+    .createHmac("sha256", key)
+    .update(JSON.stringify(data))
+    .digest("hex");
+}
+
+// Saves the bank and every dispenser to one versioned, signed JSON file.
+// Writes go to a temporary file that is renamed into place, so a crash
+// mid-write leaves the previous snapshot intact.
+class SnapshotStore {
+  constructor(filePath, signingKey) {
+    if (!signingKey) {
+      throw new Error("A signing key is required for snapshots.");
+    }
+    this.filePath = filePath;
+    this.signingKey = signingKey;
   }
 
-  getAccountNumber() {
-    return this.accountNumber;
+  exists() {
+    return fs.existsSync(this.filePath);
   }
 
-  getBalance() {
-    return this.balance;
+  save(bankingService, dispensers) {
+    const data = {
+      bank: bankingService,
+      dispensers: Object.fromEntries(dispensers),
+    };
+    // Round-trip so the signature covers exactly what ends up on disk.
+    const plain = JSON.parse(JSON.stringify(data));
+    const snapshot = {
+      version: SNAPSHOT_VERSION,
+      savedAt: new Date().toISOString(),
+      signature: sign(plain, this.signingKey),
+      data: plain,
+    };
+    const tempPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(snapshot, null, 2));
+    fs.renameSync(tempPath, this.filePath);
   }
 
-  debit(amount) {
-    if (amount <= 0) {
-      throw new Error("Amount to debit should be greater than zero.");
+  // Returns the restored BankingService and a Map of atmId -> CashDispenser.
+  // Throws SnapshotError for anything unreadable, tampered with or malformed.
+  load(maxPinAttempts = 3, policy = new TransactionPolicy()) {
+    let snapshot;
+    try {
+      snapshot = JSON.parse(fs.readFileSync(this.filePath, "utf8"));
+    } catch (error) {
+      throw new SnapshotError(`Cannot read snapshot: ${error.message}`);
     }
-    if (amount > this.balance) {
-      throw new Error("Insufficient funds.");
+    if (!snapshot || typeof snapshot !== "object" || !snapshot.data) {
+      throw new SnapshotError("Snapshot has no data.");
     }
-    this.balance -= amount;
-  }
-
-  credit(amount) {
-    if (amount <= 0) {
-      throw new Error("Amount to credit should be greater than zero.");
+    if (snapshot.version !== SNAPSHOT_VERSION) {
+      throw new SnapshotError(
+        `Unsupported snapshot version: ${snapshot.version}.`
+      );
+    }
+    if (snapshot.signature !== sign(snapshot.data, this.signingKey)) {
+      throw new SnapshotError("Snapshot signature does not match its data.");
+    }
+    try {
+      const bankingService = BankingService.fromJSON(
+        snapshot.data.bank,
+        maxPinAttempts,
+        policy
+      );
+      const dispensers = new Map(
+        Object.entries(snapshot.data.dispensers).map(([atmId, dispenser]) => [
+          atmId,
+          CashDispenser.fromJSON(dispenser),
+        ])
+      );
+      return { bankingService, dispensers };
+    } catch (error) {
+      throw new SnapshotError(`Invalid snapshot: ${error.message}`);
     }
-    this.balance += amount;
   }
 }
 
-class Transaction {
-  constructor(account, amount) {
-    if (this.constructor === Transaction) {
-      throw new Error("Abstract classes cannot be instantiated.");
+const JournalPhase = Object.freeze({
+  STARTED: "STARTED",
+  DISPENSED: "DISPENSED",
+  COMMITTED: "COMMITTED",
+  REVERSED: "REVERSED",
+});
+
+// Append-only log of withdrawal progress, one JSON object per line, written
+// before each step takes effect. Whatever is not COMMITTED or REVERSED when
+// the process restarts is finished by BankHost.recover().
+class WriteAheadJournal {
+  constructor(filePath) {
+    this.filePath = filePath;
+  }
+
+  append(entry) {
+    fs.appendFileSync(
+      this.filePath,
+      `${JSON.stringify({ ...entry, loggedAt: new Date().toISOString() })}\n`
+    );
+  }
+
+  readEntries() {
+    if (!fs.existsSync(this.filePath)) {
+      return [];
     }
-    this.account = account;
-    this.amount = amount;
+    const lines = fs
+      .readFileSync(this.filePath, "utf8")
+      .split("\n")
+      .filter((line) => line.trim() !== "");
+    const entries = [];
+    lines.forEach((line, i) => {
+      try {
+        entries.push(JSON.parse(line));
+      } catch (error) {
+        // Only the last line can be torn by a crash mid-append.
+        if (i !== lines.length - 1) {
+          throw new SnapshotError(`Journal line ${i + 1} is corrupted.`);
+        }
+      }
+    });
+    return entries;
   }
 
-  execute() {
-    throw new Error('Method "execute()" must be implemented.');
+  // Entries of withdrawals that never reached COMMITTED or REVERSED, grouped
+  // by transaction id in the order they were logged.
+  getUnfinished() {
+    const byTransaction = new Map();
+    for (const entry of this.readEntries()) {
+      if (!byTransaction.has(entry.transactionId)) {
+        byTransaction.set(entry.transactionId, []);
+      }
+      byTransaction.get(entry.transactionId).push(entry);
+    }
+    for (const [transactionId, entries] of byTransaction) {
+      const phase = entries[entries.length - 1].phase;
+      if (phase === JournalPhase.COMMITTED || phase === JournalPhase.REVERSED) {
+        byTransaction.delete(transactionId);
+      }
+    }
+    return byTransaction;
   }
-}
 
-class WithdrawalTransaction extends Transaction {
-  execute() {
-    this.account.debit(this.amount);
-    console.log(`Withdrawal of $${this.amount} successful.`);
+  // Drops finished withdrawals; called once a snapshot has captured them.
+  compact() {
+    const pending = [...this.getUnfinished().values()].flat();
+    const tempPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(
+      tempPath,
+      pending.map((entry) => `${JSON.stringify(entry)}\n`).join("")
+    );
+    fs.renameSync(tempPath, this.filePath);
   }
 }
 
-class DepositTransaction extends Transaction {
-  execute() {
-    this.account.credit(this.amount);
-    console.log(`Deposit of $${this.amount} successful.`);
-  }
+function delay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
 }
 
-class BankingService {
+class Mutex {
   constructor() {
-    this.accounts = new Map();
-    this.cards = new Map();
+    this.queue = [];
+    this.locked = false;
   }
 
-  addAccount(account) {
-    if (this.accounts.has(account.getAccountNumber())) {
-      throw new Error("Account already exists.");
+  lock() {
+    return new Promise((resolve) => {
+      if (this.locked) {
+        this.queue.push(resolve);
+      } else {
+        this.locked = true;
+        resolve();
+      }
+    });
+  }
+
+  unlock() {
+    if (this.queue.length > 0) {
+      const nextResolve = this.queue.shift();
+      nextResolve();
+    } else {
+      this.locked = false;
     }
-    this.accounts.set(account.getAccountNumber(), account);
   }
+}
 
-  getAccount(accountNumber) {
-    if (!this.accounts.has(accountNumber)) {
-      throw new Error("Account not found.");
+// Bank back end shared by every connected ATM. Operations are async, as they
+// would be over a network, and each one holds a lock on every account and
+// card it touches, so concurrent sessions never interleave inside it.
+class BankHost {
+  constructor(bankingService = new BankingService(), latencyMs = 0) {
+    this.bankingService = bankingService;
+    this.latencyMs = latencyMs;
+    this.locks = new Map();
+    this.connectedAtms = new Map();
+    this.snapshots = null;
+    this.journal = null;
+  }
+
+  getBankingService() {
+    return this.bankingService;
+  }
+
+  setPersistence(snapshots, journal) {
+    this.snapshots = snapshots;
+    this.journal = journal;
+  }
+
+  getDispensers() {
+    return new Map(
+      this.getConnectedAtms().map((atm) => [atm.atmId, atm.cashDispenser])
+    );
+  }
+
+  logWithdrawal(entry) {
+    if (this.journal) {
+      this.journal.append(entry);
     }
-    return this.accounts.get(accountNumber);
   }
 
-  addCard(card) {
-    if (this.cards.has(card.getCardNumber())) {
-      throw new Error("Card already exists.");
+  // Saves the bank and every connected dispenser, then drops journal entries
+  // the snapshot now covers. Runs synchronously, so it sees one consistent
+  // moment even with other sessions in flight.
+  async checkpoint() {
+    if (this.snapshots) {
+      this.snapshots.save(this.bankingService, this.getDispensers());
+    }
+    if (this.journal) {
+      this.journal.compact();
     }
-    this.cards.set(card.getCardNumber(), card);
   }
 
-  validateCard(cardNumber, pin) {
-    if (!this.cards.has(cardNumber)) {
-      throw new Error("Card not found.");
+  // Finishes withdrawals a crash left unfinished. Cash that left the machine
+  // is debited unless the restored ledger already has it; a withdrawal that
+  // never reached the dispenser is reversed. Anything that cannot be settled
+  // stays in the journal and is reported for manual review.
+  async recover() {
+    const report = { committed: [], reversed: [], needsReview: [] };
+    if (!this.journal) {
+      return report;
     }
-    const card = this.cards.get(cardNumber);
-    if (card.getPin() !== pin) {
-      throw new Error("Invalid PIN.");
+    // Rewriting first drops a line torn by the crash, so new entries start
+    // on a clean line.
+    this.journal.compact();
+    const dispensers = this.getDispensers();
+    for (const [transactionId, entries] of this.journal.getUnfinished()) {
+      const started = entries.find((e) => e.phase === JournalPhase.STARTED);
+      const dispensed = entries.find((e) => e.phase === JournalPhase.DISPENSED);
+      if (!started) {
+        report.needsReview.push(transactionId);
+        continue;
+      }
+      const transaction = new WithdrawalTransaction(
+        this.bankingService.getAccount(started.accountNumber),
+        Money.fromJSON(started.amount),
+        started.atmId
+      );
+      transaction.transactionId = transactionId;
+      if (!dispensed) {
+        this.bankingService.reverseTransaction(
+          transaction,
+          "Cash was not dispensed before restart."
+        );
+        this.journal.append({ transactionId, phase: JournalPhase.REVERSED });
+        report.reversed.push(transactionId);
+        continue;
+      }
+      const dispenser = dispensers.get(started.atmId);
+      if (dispenser && dispenser.dispenseCount < dispensed.dispenseCount) {
+        for (const [denomination, count] of dispensed.notes) {
+          dispenser.cassettes.get(denomination).removeNotes(count);
+        }
+        dispenser.dispenseCount = dispensed.dispenseCount;
+      }
+      if (!this.bankingService.getLedger().hasTransaction(transactionId)) {
+        try {
+          this.bankingService.processTransaction(transaction);
+        } catch (error) {
+          report.needsReview.push(transactionId);
+          continue;
+        }
+      }
+      this.journal.append({ transactionId, phase: JournalPhase.COMMITTED });
+      report.committed.push(transactionId);
     }
-    return card;
+    await this.checkpoint();
+    return report;
   }
 
-  processTransaction(transaction) {
-    transaction.execute();
+  connect(atm) {
+    if (this.connectedAtms.has(atm.atmId)) {
+      throw new Error(`ATM ${atm.atmId} is already connected.`);
+    }
+    this.connectedAtms.set(atm.atmId, atm);
   }
-}
 
-class CashDispenser {
-  constructor(totalCash = 10000) {
-    this.totalCash = totalCash;
+  disconnect(atmId) {
+    this.connectedAtms.delete(atmId);
   }
 
-  dispenseCash(amount) {
-    if (amount <= 0) {
-      throw new Error("Amount must be greater than zero.");
+  getConnectedAtms() {
+    return [...this.connectedAtms.values()];
+  }
+
+  getLock(key) {
+    if (!this.locks.has(key)) {
+      this.locks.set(key, new Mutex());
     }
-    if (amount > this.totalCash) {
-      throw new Error("ATM has insufficient cash.");
+    return this.locks.get(key);
+  }
+
+  // Locks are always taken in sorted order so two transfers in opposite
+  // directions cannot deadlock.
+  async withLocks(keys, operation) {
+    const mutexes = [...new Set(keys)].sort().map((key) => this.getLock(key));
+    for (const mutex of mutexes) {
+      await mutex.lock();
+    }
+    try {
+      await delay(this.latencyMs);
+      return operation();
+    } finally {
+      for (const mutex of mutexes.reverse()) {
+        mutex.unlock();
+      }
     }
-    this.totalCash -= amount;
-    console.log(`Dispensed $${amount}`);
   }
 
-  addCash(amount) {
-    if (amount <= 0) {
-      throw new Error("Amount must be greater than zero.");
+  transactionLocks(transaction, cardNumber = null) {
+    const keys = transaction
+      .getAccounts()
+      .map((account) => `account:${account.getAccountNumber()}`);
+    if (cardNumber) {
+      keys.push(`card:${cardNumber}`);
     }
-    this.totalCash += amount;
+    return keys;
   }
 
-  getTotalCash() {
-    return this.totalCash;
+  validateCard(cardNumber, credentials) {
+    return this.withLocks([`card:${cardNumber}`], () =>
+      this.bankingService.validateCard(cardNumber, credentials)
+    );
+  }
+
+  changePin(cardNumber, currentPin, newPin) {
+    return this.withLocks([`card:${cardNumber}`], () =>
+      this.bankingService.changePin(cardNumber, currentPin, newPin)
+    );
+  }
+
+  getRemainingPinAttempts(cardNumber) {
+    return this.withLocks([`card:${cardNumber}`], () =>
+      this.bankingService.getRemainingPinAttempts(cardNumber)
+    );
+  }
+
+  getAccount(accountNumber) {
+    return this.withLocks([`account:${accountNumber}`], () =>
+      this.bankingService.getAccount(accountNumber)
+    );
+  }
+
+  getBalance(accountNumber) {
+    return this.withLocks([`account:${accountNumber}`], () =>
+      this.bankingService.getAccount(accountNumber).getBalance()
+    );
+  }
+
+  getStatement(accountNumber, count) {
+    return this.withLocks([`account:${accountNumber}`], () =>
+      this.bankingService.getLedger().getLastEntries(accountNumber, count)
+    );
+  }
+
+  quoteInAccountCurrency(account, money) {
+    return this.withLocks([], () =>
+      this.bankingService.quoteInAccountCurrency(account, money)
+    );
+  }
+
+  reserveFunds(transaction, cardNumber = null) {
+    return this.withLocks(this.transactionLocks(transaction, cardNumber), () =>
+      this.bankingService.reserveFunds(transaction, cardNumber)
+    );
+  }
+
+  commitTransaction(transaction) {
+    return this.withLocks(this.transactionLocks(transaction), () =>
+      this.bankingService.commitTransaction(transaction)
+    );
+  }
+
+  reverseTransaction(transaction, reason) {
+    return this.withLocks(this.transactionLocks(transaction), () =>
+      this.bankingService.reverseTransaction(transaction, reason)
+    );
+  }
+
+  processTransaction(transaction) {
+    return this.withLocks(this.transactionLocks(transaction), () =>
+      this.bankingService.processTransaction(transaction)
+    );
+  }
+
+  transfer(fromAccountNumber, toAccountNumber, amount, atmId, cardNumber) {
+    const keys = [
+      `account:${fromAccountNumber}`,
+      `account:${toAccountNumber}`,
+      `card:${cardNumber}`,
+    ];
+    return this.withLocks(keys, () =>
+      this.bankingService.transfer(
+        fromAccountNumber,
+        toAccountNumber,
+        amount,
+        atmId,
+        cardNumber
+      )
+    );
+  }
+}
+
+const ATMState = Object.freeze({
+  IDLE: "IDLE",
+  CARD_INSERTED: "CARD_INSERTED",
+  AUTHENTICATED: "AUTHENTICATED",
+  TRANSACTING: "TRANSACTING",
+  EJECTING: "EJECTING",
+  CARD_RETAINED: "CARD_RETAINED",
+});
+
+// Allowed moves between ATM states, keyed by the current state.
+const ATMTransitions = Object.freeze({
+  [ATMState.IDLE]: [ATMState.CARD_INSERTED],
+  [ATMState.CARD_INSERTED]: [
+    ATMState.AUTHENTICATED,
+    ATMState.EJECTING,
+    ATMState.CARD_RETAINED,
+  ],
+  [ATMState.AUTHENTICATED]: [
+    ATMState.TRANSACTING,
+    ATMState.EJECTING,
+    ATMState.CARD_RETAINED,
+  ],
+  [ATMState.TRANSACTING]: [ATMState.AUTHENTICATED],
+  [ATMState.EJECTING]: [ATMState.IDLE],
+  [ATMState.CARD_RETAINED]: [ATMState.CARD_INSERTED, ATMState.IDLE],
+});
+
+class InvalidStateTransitionError extends Error {
+  constructor(action, from, to) {
+    super(`Cannot ${action} while the ATM is ${from}.`);
+    this.name = "InvalidStateTransitionError";
+    this.action = action;
+    this.from = from;
+    this.to = to;
   }
 }
 
 class ATM {
-  constructor() {
-    this.bankingService = new BankingService();
-    this.cashDispenser = new CashDispenser();
+  constructor(
+    atmId = "ATM001",
+    bankHost = new BankHost(),
+    cashDispenser = new CashDispenser(),
+    inactivityTimeoutMs = 30000
+  ) {
+    this.atmId = atmId;
+    this.bankHost = bankHost;
+    this.cashDispenser = cashDispenser;
+    this.state = ATMState.IDLE;
     this.currentCard = null;
-    this.authenticated = false;
     this.currentCardNumber = null;
+    this.retainedCards = [];
+    this.inactivityTimeoutMs = inactivityTimeoutMs;
+    this.inactivityTimer = null;
+    bankHost.connect(this);
+  }
+
+  getState() {
+    return this.state;
+  }
+
+  isAuthenticated() {
+    return (
+      this.state === ATMState.AUTHENTICATED ||
+      this.state === ATMState.TRANSACTING
+    );
+  }
+
+  assertTransition(nextState, action) {
+    if (!ATMTransitions[this.state].includes(nextState)) {
+      throw new InvalidStateTransitionError(action, this.state, nextState);
+    }
+  }
+
+  transitionTo(nextState, action) {
+    this.assertTransition(nextState, action);
+    this.state = nextState;
+    this.resetInactivityTimer();
+  }
+
+  // Restarts the idle countdown; only a session waiting on the customer can
+  // time out.
+  resetInactivityTimer() {
+    clearTimeout(this.inactivityTimer);
+    this.inactivityTimer = null;
+    if (
+      this.state === ATMState.CARD_INSERTED ||
+      this.state === ATMState.AUTHENTICATED
+    ) {
+      this.inactivityTimer = setTimeout(
+        () => this.handleInactivityTimeout(),
+        this.inactivityTimeoutMs
+      );
+    }
+  }
+
+  handleInactivityTimeout() {
+    console.log("Session timed out.");
+    this.ejectCard();
   }
 
   insertCard(cardNumber) {
+    this.transitionTo(ATMState.CARD_INSERTED, "insert a card");
     this.currentCardNumber = cardNumber;
     console.log("Card inserted.");
   }
 
-  enterPin(pin) {
+  async enterPin(pin) {
+    this.assertTransition(ATMState.AUTHENTICATED, "enter a PIN");
+    // The session must not time out while the bank is checking the PIN.
+    clearTimeout(this.inactivityTimer);
     try {
-      this.currentCard = this.bankingService.validateCard(
+      this.currentCard = await this.bankHost.validateCard(
         this.currentCardNumber,
         pin
       );
-      this.authenticated = true;
-      console.log("Authentication successful.");
     } catch (error) {
-      throw new Error("Authentication failed.");
+      if (error instanceof CardLockedError) {
+        this.retainCard();
+        throw new Error("Card retained. Please contact your bank.");
+      }
+      this.resetInactivityTimer();
+      const remaining = await this.bankHost.getRemainingPinAttempts(
+        this.currentCardNumber
+      );
+      if (remaining === null) {
+        throw new Error("Authentication failed.");
+      }
+      throw new Error(
+        `Authentication failed. ${remaining} attempt(s) remaining.`
+      );
     }
+    this.transitionTo(ATMState.AUTHENTICATED, "enter a PIN");
+    console.log("Authentication successful.");
   }
 
-  checkBalance() {
-    if (!this.authenticated) {
-      throw new Error("User not authenticated.");
+  retainCard() {
+    this.transitionTo(ATMState.CARD_RETAINED, "retain the card");
+    this.retainedCards.push(this.currentCardNumber);
+    this.currentCard = null;
+    this.currentCardNumber = null;
+    console.log("Card retained.");
+  }
+
+  // Hands the captured cards over to service staff and empties the bin. A
+  // machine still showing a retained card goes back to IDLE.
+  collectRetainedCards() {
+    const cards = this.retainedCards;
+    this.retainedCards = [];
+    if (this.state === ATMState.CARD_RETAINED) {
+      this.reset();
     }
-    const account = this.bankingService.getAccount(
-      this.currentCard.getAccountNumber()
-    );
-    console.log(`Your balance is $${account.getBalance()}`);
+    return cards;
   }
 
-  withdraw(amount) {
-    if (!this.authenticated) {
-      throw new Error("User not authenticated.");
+  // Operator path back to IDLE after a card has been retained.
+  reset() {
+    this.transitionTo(ATMState.IDLE, "reset the ATM");
+    console.log("ATM reset.");
+  }
+
+  // Runs `operation` against the card's account in the TRANSACTING state and
+  // returns to AUTHENTICATED whether or not it succeeds.
+  async runTransaction(action, operation) {
+    this.transitionTo(ATMState.TRANSACTING, action);
+    try {
+      const account = await this.bankHost.getAccount(
+        this.currentCard.getAccountNumber()
+      );
+      return await operation(account);
+    } finally {
+      this.transitionTo(ATMState.AUTHENTICATED, action);
     }
-    const account = this.bankingService.getAccount(
-      this.currentCard.getAccountNumber()
-    );
-    const transaction = new WithdrawalTransaction(account, amount);
-    this.bankingService.processTransaction(transaction);
-    this.cashDispenser.dispenseCash(amount);
-    console.log(`Withdrawal of $${amount} completed.`);
   }
 
+  // Amounts typed on the keypad are plain numbers in `currency`.
+  toMoney(amount, currency) {
+    return amount instanceof Money ? amount : Money.of(amount, currency);
+  }
+
+  checkBalance() {
+    return this.runTransaction("check the balance", async (account) => {
+      const balance = await this.bankHost.getBalance(
+        account.getAccountNumber()
+      );
+      console.log(`Your balance is ${balance}`);
+      return balance;
+    });
+  }
+
+  withdraw(amount) {
+    return this.runTransaction("withdraw", async (account) => {
+      const cash = this.toMoney(amount, this.cashDispenser.getCurrency());
+      if (!this.cashDispenser.canDispense(cash)) {
+        throw new AmountNotDispensableError(
+          cash,
+          this.cashDispenser.suggestAmounts(cash)
+        );
+      }
+      const charge = await this.bankHost.quoteInAccountCurrency(account, cash);
+      if (charge.fee.isPositive()) {
+        console.log(`Exchange fee: ${charge.fee}`);
+      }
+      const transaction = new WithdrawalTransaction(
+        account,
+        charge.amount,
+        this.atmId
+      );
+      await this.bankHost.reserveFunds(transaction, this.currentCardNumber);
+      const transactionId = transaction.getTransactionId();
+      this.bankHost.logWithdrawal({
+        transactionId,
+        phase: JournalPhase.STARTED,
+        atmId: this.atmId,
+        accountNumber: account.getAccountNumber(),
+        amount: charge.amount,
+      });
+      try {
+        const notes = this.cashDispenser.dispenseCash(cash);
+        this.bankHost.logWithdrawal({
+          transactionId,
+          phase: JournalPhase.DISPENSED,
+          notes: [...notes],
+          dispenseCount: this.cashDispenser.dispenseCount,
+        });
+        await this.bankHost.commitTransaction(transaction);
+      } catch (error) {
+        await this.bankHost.reverseTransaction(transaction, error.message);
+        this.bankHost.logWithdrawal({
+          transactionId,
+          phase: JournalPhase.REVERSED,
+        });
+        await this.bankHost.checkpoint();
+        throw error;
+      }
+      // Snapshot first: if we crash before COMMITTED is logged, recovery
+      // finds the debit in the restored ledger and does not repeat it.
+      await this.bankHost.checkpoint();
+      this.bankHost.logWithdrawal({
+        transactionId,
+        phase: JournalPhase.COMMITTED,
+      });
+      console.log(`Withdrawal of ${cash} completed.`);
+      this.reportLowCassettes();
+    });
+  }
+
+  // Deposits are only accepted in the account's own currency.
   deposit(amount) {
-    if (!this.authenticated) {
-      throw new Error("User not authenticated.");
+    return this.runTransaction("deposit", async (account) => {
+      const cash = this.toMoney(amount, this.cashDispenser.getCurrency());
+      const transaction = new DepositTransaction(account, cash, this.atmId);
+      await this.bankHost.processTransaction(transaction);
+      // In a real ATM, cash would be physically inserted.
+      this.cashDispenser.acceptDeposit(cash);
+      await this.bankHost.checkpoint();
+      console.log(`Deposit of ${cash} completed.`);
+    });
+  }
+
+  transfer(toAccountNumber, amount) {
+    return this.runTransaction("transfer", async (account) => {
+      const transaction = await this.bankHost.transfer(
+        account.getAccountNumber(),
+        toAccountNumber,
+        this.toMoney(amount, account.getCurrency()),
+        this.atmId,
+        this.currentCardNumber
+      );
+      await this.bankHost.checkpoint();
+      return transaction;
+    });
+  }
+
+  async changePin(currentPin, newPin) {
+    try {
+      await this.runTransaction("change the PIN", async () => {
+        await this.bankHost.changePin(
+          this.currentCardNumber,
+          currentPin,
+          newPin
+        );
+        await this.bankHost.checkpoint();
+      });
+    } catch (error) {
+      // Wrong current PINs count towards the same lockout as enterPin.
+      if (error instanceof CardLockedError) {
+        this.retainCard();
+        throw new Error("Card retained. Please contact your bank.");
+      }
+      throw error;
     }
-    const account = this.bankingService.getAccount(
-      this.currentCard.getAccountNumber()
-    );
-    const transaction = new DepositTransaction(account, amount);
-    this.bankingService.processTransaction(transaction);
-    // In a real ATM, cash would be physically inserted.
-    this.cashDispenser.addCash(amount);
-    console.log(`Deposit of $${amount} completed.`);
+    console.log("PIN changed.");
+  }
+
+  miniStatement(count = 5) {
+    return this.runTransaction("print a mini-statement", async (account) => {
+      const entries = await this.bankHost.getStatement(
+        account.getAccountNumber(),
+        count
+      );
+      console.log(`Mini-statement for account ${account.getAccountNumber()}`);
+      for (const entry of entries) {
+        const change = entry.balanceAfter.subtract(entry.balanceBefore);
+        const sign = change.isNegative() ? "-" : "+";
+        console.log(
+          `${entry.timestamp.toISOString()} ${
+            entry.type
+          } ${sign}${change.abs()} balance ${entry.balanceAfter}`
+        );
+      }
+      return entries;
+    });
+  }
+
+  reportLowCassettes() {
+    const alerts = this.cashDispenser.getLowCassetteAlerts();
+    for (const alert of alerts) {
+      console.warn(
+        `Low cash: ${Money.of(
+          alert.denomination,
+          this.cashDispenser.getCurrency()
+        )} cassette has ${alert.count} notes left.`
+      );
+    }
+    return alerts;
   }
 
   ejectCard() {
+    this.transitionTo(ATMState.EJECTING, "eject the card");
     this.currentCard = null;
-    this.authenticated = false;
     this.currentCardNumber = null;
     console.log("Card ejected.");
+    this.transitionTo(ATMState.IDLE, "eject the card");
+  }
+}
+
+// Runs several ATMs concurrently against the same accounts and checks that
+// no account goes negative and that no money is created or lost: the sum of
+// all balances plus the cash paid out, minus the cash paid in, must equal the
+// opening total.
+async function runNetworkSimulation({
+  atmCount = 3,
+  accountCount = 3,
+  sessionsPerAtm = 4,
+  latencyMs = 1,
+} = {}) {
+  const noOverdraft = {
+    [AccountType.CHECKING]: Money.zero(),
+    [AccountType.SAVINGS]: Money.zero(),
+  };
+  const bankingService = new BankingService(
+    3,
+    new TransactionPolicy({
+      dailyCardLimit: Money.of(1000000),
+      dailyAccountLimit: Money.of(1000000),
+      maxDailyTransactions: 1000,
+      overdraftAllowances: noOverdraft,
+    })
+  );
+  const bankHost = new BankHost(bankingService, latencyMs);
+
+  const accountNumbers = [];
+  for (let i = 1; i <= accountCount; i++) {
+    const accountNumber = `SIM${i}`;
+    bankingService.addAccount(new Account(accountNumber, Money.of(500)));
+    bankingService.addCard(new Card(`CARD${i}`, "0000", accountNumber));
+    accountNumbers.push(accountNumber);
+  }
+  const openingTotal = Money.of(500 * accountCount);
+
+  const atms = [];
+  for (let i = 1; i <= atmCount; i++) {
+    const dispenser = new CashDispenser([
+      new Cassette(20, 500),
+      new Cassette(50, 200),
+      new Cassette(100, 200),
+    ]);
+    atms.push(new ATM(`SIMATM${i}`, bankHost, dispenser));
+  }
+  const openingCash = atms.map((atm) => atm.cashDispenser.getTotalCash());
+
+  const pick = (items) => items[Math.floor(Math.random() * items.length)];
+  const randomAmount = () => 20 * (1 + Math.floor(Math.random() * 20));
+  let completed = 0;
+  let declined = 0;
+
+  const runSession = async (atm) => {
+    const index = Math.floor(Math.random() * accountCount);
+    atm.insertCard(`CARD${index + 1}`);
+    try {
+      await atm.enterPin("0000");
+      for (let op = 0; op < 3; op++) {
+        try {
+          const action = pick(["withdraw", "deposit", "transfer"]);
+          if (action === "withdraw") {
+            await atm.withdraw(randomAmount());
+          } else if (action === "deposit") {
+            await atm.deposit(randomAmount());
+          } else {
+            const others = accountNumbers.filter((_, i) => i !== index);
+            await atm.transfer(pick(others), randomAmount());
+          }
+          completed++;
+        } catch (error) {
+          if (error instanceof InvalidStateTransitionError) {
+            throw error;
+          }
+          declined++;
+        }
+      }
+    } finally {
+      atm.ejectCard();
+    }
+  };
+
+  await Promise.all(
+    atms.map(async (atm) => {
+      for (let i = 0; i < sessionsPerAtm; i++) {
+        await runSession(atm);
+      }
+    })
+  );
+
+  let closingTotal = Money.zero();
+  for (const accountNumber of accountNumbers) {
+    const account = bankingService.getAccount(accountNumber);
+    if (account.getBalance().isNegative()) {
+      throw new Error(`Simulation failed: ${accountNumber} went negative.`);
+    }
+    if (!account.heldAmount.isZero()) {
+      throw new Error(`Simulation failed: ${accountNumber} has stuck holds.`);
+    }
+    closingTotal = closingTotal.add(account.getBalance());
+  }
+  atms.forEach((atm, i) => {
+    const paidOut = openingCash[i].subtract(atm.cashDispenser.getTotalCash());
+    closingTotal = closingTotal
+      .add(paidOut)
+      .subtract(atm.cashDispenser.depositedCash);
+  });
+  if (!closingTotal.equals(openingTotal)) {
+    throw new Error(
+      `Simulation failed: expected ${openingTotal} but accounted for ${closingTotal}.`
+    );
+  }
+  console.log(
+    `Simulation passed: ${completed} operations completed, ${declined} declined.`
+  );
+  return { completed, declined };
+}
+
+// Saves the bank to disk, crashes in the middle of a withdrawal, then restores
+// from the snapshot and lets the journal finish the interrupted withdrawal.
+async function runCrashRecoveryDemo() {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), "atm-"));
+  // A real deployment reads the key from its secret store.
+  const snapshots = new SnapshotStore(
+    path.join(directory, "snapshot.json"),
+    crypto.randomBytes(32)
+  );
+  const journal = new WriteAheadJournal(path.join(directory, "journal.log"));
+  try {
+    const bankingService = new BankingService();
+    const exchangeRates = new ExchangeRateTable(0.02);
+    exchangeRates.setRate("USD", "EUR", 0.9);
+    bankingService.setExchangeRates(exchangeRates);
+    bankingService.addAccount(new Account("111222333", Money.of(800)));
+    bankingService.addAccount(new Account("111222444", Money.of(500, "EUR")));
+    bankingService.addCard(
+      new Card("4444-3333-2222-1111", "2580", "111222333")
+    );
+    const bankHost = new BankHost(bankingService);
+    bankHost.setPersistence(snapshots, journal);
+    const atm = new ATM("ATM900", bankHost);
+    await bankHost.checkpoint();
+
+    atm.insertCard("4444-3333-2222-1111");
+    await atm.enterPin("2580");
+    // The process dies after the cash is out but before the debit commits.
+    bankHost.commitTransaction = () => new Promise(() => {});
+    atm.withdraw(200);
+    await delay(10);
+
+    const restored = snapshots.load();
+    const restoredHost = new BankHost(restored.bankingService);
+    restoredHost.setPersistence(snapshots, journal);
+    const restoredAtm = new ATM(
+      "ATM900",
+      restoredHost,
+      restored.dispensers.get("ATM900")
+    );
+    const report = await restoredHost.recover();
+    console.log(`Recovered withdrawals: ${report.committed.join(", ")}`);
+    console.log(
+      `Balance after restart: ${restored.bankingService
+        .getAccount("111222333")
+        .getBalance()}, cash in ATM900: ${restoredAtm.cashDispenser.getTotalCash()}`
+    );
+    // The EUR account comes back with its rates and overdraft limit.
+    const euroAccount = restored.bankingService.getAccount("111222444");
+    console.log(
+      `EUR account after restart: ${euroAccount.getBalance()}, available ${euroAccount.getAvailableBalance()}`
+    );
+
+    // A tampered snapshot is refused rather than loaded.
+    const file = path.join(directory, "snapshot.json");
+    fs.writeFileSync(
+      file,
+      fs
+        .readFileSync(file, "utf8")
+        .replace('"minorUnits": 60000', '"minorUnits": 90000')
+    );
+    try {
+      snapshots.load();
+    } catch (error) {
+      console.error(error.message);
+    }
+  } finally {
+    fs.rmSync(directory, { recursive: true, force: true });
   }
 }
 
-function main() {
-  const atm = new ATM();
+async function main() {
+  const bankingService = new BankingService();
+  const bankHost = new BankHost(bankingService);
+  const atm = new ATM("ATM001", bankHost);
 
   // Create sample accounts
-  const account1 = new Account("123456789", 1000);
-  const account2 = new Account("987654321", 2000);
+  const account1 = new Account("123456789", Money.of(1000));
+  const account2 = new Account("987654321", Money.of(2000));
+  const account3 = new Account("555555555", Money.of(1500, "EUR"));
+
+  // Rates used when a card's account is in another currency
+  const exchangeRates = new ExchangeRateTable(0.02);
+  exchangeRates.setRate("USD", "EUR", 0.9);
+  bankingService.setExchangeRates(exchangeRates);
 
   // Add accounts to the banking service
-  atm.bankingService.addAccount(account1);
-  atm.bankingService.addAccount(account2);
+  bankingService.addAccount(account1);
+  bankingService.addAccount(account2);
+  bankingService.addAccount(account3);
 
   // Create sample cards linked to the accounts
   const card1 = new Card("1111-2222-3333-4444", "1234", "123456789");
   const card2 = new Card("5555-6666-7777-8888", "5678", "987654321");
+  const card3 = new Card("9999-0000-1111-2222", "4321", "555555555");
 
   // Add cards to the banking service
-  atm.bankingService.addCard(card1);
-  atm.bankingService.addCard(card2);
+  bankingService.addCard(card1);
+  bankingService.addCard(card2);
+  bankingService.addCard(card3);
 
   // Simulate ATM operations for the first user
   try {
     atm.insertCard("1111-2222-3333-4444");
-    atm.enterPin("1234");
-    atm.checkBalance();
-    atm.withdraw(500);
-    atm.checkBalance();
-    atm.deposit(300);
-    atm.checkBalance();
+    await atm.enterPin("1234");
+    await atm.checkBalance();
+    await atm.withdraw(500);
+    await atm.checkBalance();
+    try {
+      await atm.withdraw(30); // Should suggest $20 or $40.
+    } catch (error) {
+      console.error(error.message);
+    }
+    await atm.deposit(300);
+    await atm.checkBalance();
+    await atm.transfer("987654321", 200);
+    await atm.miniStatement(3);
+    await atm.changePin("1234", "2468");
     atm.ejectCard();
 
     // Simulate ATM operations for the second user
     atm.insertCard("5555-6666-7777-8888");
-    atm.enterPin("5678");
-    atm.checkBalance();
-    atm.withdraw(2500); // Should throw error: Insufficient funds.
+    try {
+      await atm.enterPin("0000"); // Wrong PIN: one attempt used.
+    } catch (error) {
+      console.error(error.message);
+    }
+    await atm.enterPin("5678");
+    await atm.checkBalance();
+    await atm.withdraw(2500); // Should throw error: above the per-transaction maximum.
+  } catch (error) {
+    console.error(error.message);
+    atm.ejectCard();
+  }
+
+  try {
+    await atm.enterPin("1234"); // Should throw error: no card inserted.
+  } catch (error) {
+    console.error(error.message);
+  }
+
+  // A EUR account withdrawing dollars is charged the converted amount plus fee
+  try {
+    atm.insertCard("9999-0000-1111-2222");
+    await atm.enterPin("4321");
+    await atm.withdraw(100);
+    await atm.checkBalance();
+    await atm.deposit(50); // Should throw error: currency mismatch.
   } catch (error) {
     console.error(error.message);
+  } finally {
     atm.ejectCard();
   }
+
+  // Several ATMs sharing the same accounts
+  await runNetworkSimulation();
+
+  // Crash in the middle of a withdrawal and recover from disk
+  await runCrashRecoveryDemo();
 }
 
-main();
+main().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
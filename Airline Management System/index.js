@@ -1,6 +1,7 @@
 // Airline Management System in JavaScript
 
-// Enums for SeatType, SeatStatus, BookingStatus, PaymentStatus, UserRoles
+// Enums for SeatType, SeatStatus, SeatAttribute, BookingStatus, PaymentStatus,
+// FareType, RefundType, FlightStatus, CrewRole, UserRoles, Permission
 const SeatType = Object.freeze({
   ECONOMY: "Economy",
   BUSINESS: "Business",
@@ -13,16 +14,76 @@ const SeatStatus = Object.freeze({
   RESERVED: "Reserved",
 });
 
+const SeatAttribute = Object.freeze({
+  WINDOW: "Window",
+  AISLE: "Aisle",
+  MIDDLE: "Middle",
+  EXIT_ROW: "Exit Row",
+});
+
 const BookingStatus = Object.freeze({
   CONFIRMED: "Confirmed",
   CANCELLED: "Cancelled",
   PENDING: "Pending",
+  EXPIRED: "Expired",
+  CHECKED_IN: "Checked In",
 });
 
 const PaymentStatus = Object.freeze({
   COMPLETED: "Completed",
   FAILED: "Failed",
   PENDING: "Pending",
+  PARTIALLY_REFUNDED: "Partially Refunded",
+  REFUNDED: "Refunded",
+  VOUCHERED: "Vouchered",
+});
+
+const FareType = Object.freeze({
+  SAVER: "Saver",
+  STANDARD: "Standard",
+  FLEXIBLE: "Flexible",
+});
+
+const RefundType = Object.freeze({
+  FULL_REFUND: "Full Refund",
+  PARTIAL_REFUND: "Partial Refund",
+  VOUCHER: "Voucher",
+  NONE: "None",
+});
+
+const FlightStatus = Object.freeze({
+  SCHEDULED: "Scheduled",
+  DELAYED: "Delayed",
+  BOARDING: "Boarding",
+  DEPARTED: "Departed",
+  CANCELLED: "Cancelled",
+});
+
+// Statuses each flight status may move to
+const FlightStatusTransitions = Object.freeze({
+  [FlightStatus.SCHEDULED]: [
+    FlightStatus.DELAYED,
+    FlightStatus.BOARDING,
+    FlightStatus.CANCELLED,
+  ],
+  [FlightStatus.DELAYED]: [
+    FlightStatus.DELAYED,
+    FlightStatus.BOARDING,
+    FlightStatus.CANCELLED,
+  ],
+  [FlightStatus.BOARDING]: [
+    FlightStatus.DELAYED,
+    FlightStatus.DEPARTED,
+    FlightStatus.CANCELLED,
+  ],
+  [FlightStatus.DEPARTED]: [],
+  [FlightStatus.CANCELLED]: [],
+});
+
+const CrewRole = Object.freeze({
+  CAPTAIN: "Captain",
+  FIRST_OFFICER: "First Officer",
+  CABIN_CREW: "Cabin Crew",
 });
 
 const UserRoles = Object.freeze({
@@ -31,36 +92,162 @@ const UserRoles = Object.freeze({
   ADMIN: "Administrator",
 });
 
+const Permission = Object.freeze({
+  MANAGE_USERS: "Manage Users",
+  MANAGE_FLIGHTS: "Manage Flights",
+  OPERATE_FLIGHTS: "Operate Flights",
+  MANAGE_PASSENGERS: "Manage Passengers",
+  SEARCH_FLIGHTS: "Search Flights",
+  MANAGE_ANY_BOOKING: "Manage Any Booking",
+  MANAGE_OWN_BOOKING: "Manage Own Booking",
+  VIEW_ANY_BOOKING: "View Any Booking",
+  VIEW_OWN_BOOKING: "View Own Booking",
+  ISSUE_REFUNDS: "Issue Refunds",
+  MANAGE_CREW: "Manage Crew",
+  VIEW_AUDIT_TRAIL: "View Audit Trail",
+});
+
+// What each role may do
+const RolePermissions = Object.freeze({
+  [UserRoles.PASSENGER]: [
+    Permission.SEARCH_FLIGHTS,
+    Permission.MANAGE_OWN_BOOKING,
+    Permission.VIEW_OWN_BOOKING,
+  ],
+  [UserRoles.STAFF]: [
+    Permission.SEARCH_FLIGHTS,
+    Permission.MANAGE_PASSENGERS,
+    Permission.OPERATE_FLIGHTS,
+    Permission.MANAGE_ANY_BOOKING,
+    Permission.VIEW_ANY_BOOKING,
+    Permission.MANAGE_CREW,
+  ],
+  [UserRoles.ADMIN]: Object.values(Permission),
+});
+
+// The narrower permission that covers a user's own records
+const OwnPermissions = Object.freeze({
+  [Permission.MANAGE_ANY_BOOKING]: Permission.MANAGE_OWN_BOOKING,
+  [Permission.VIEW_ANY_BOOKING]: Permission.VIEW_OWN_BOOKING,
+});
+
 // Seat Class
 class Seat {
-  constructor(seatNumber, seatType) {
-    this.seatNumber = seatNumber;
+  constructor(row, letter, seatType, attributes = []) {
+    this.row = row;
+    this.letter = letter;
+    this.seatNumber = `${row}${letter}`;
     this.seatType = seatType;
+    this.attributes = attributes;
     this.seatStatus = SeatStatus.AVAILABLE;
   }
+
+  hasAttribute(attribute) {
+    return this.attributes.includes(attribute);
+  }
 }
 
-// Aircraft Class
-class Aircraft {
-  constructor(tailNumber, model, totalSeats) {
-    this.tailNumber = tailNumber;
-    this.model = model;
-    this.totalSeats = totalSeats;
-    this.seats = this.generateSeats(totalSeats);
+// CabinLayout Class
+// Seat letters are grouped into blocks separated by spaces, one space per
+// aisle: "ABC DEF" is a single-aisle cabin, "AC DG HK" a twin-aisle one.
+class CabinLayout {
+  constructor(seatType, firstRow, lastRow, seatLetters, exitRows = []) {
+    if (!Object.values(SeatType).includes(seatType)) {
+      throw new Error("Invalid seat type");
+    }
+    if (firstRow > lastRow) {
+      throw new Error("Cabin first row must not be after its last row");
+    }
+    this.seatType = seatType;
+    this.firstRow = firstRow;
+    this.lastRow = lastRow;
+    this.blocks = seatLetters.trim().split(/\s+/);
+    this.exitRows = exitRows;
+  }
+
+  getLetters() {
+    return this.blocks.join("").split("");
+  }
+
+  getAttributes(row, letter) {
+    const letters = this.getLetters();
+    const attributes = [];
+    if (letter === letters[0] || letter === letters[letters.length - 1]) {
+      attributes.push(SeatAttribute.WINDOW);
+    }
+    const block = this.blocks.find((b) => b.includes(letter));
+    const index = this.blocks.indexOf(block);
+    const isAisle =
+      (letter === block[0] && index > 0) ||
+      (letter === block[block.length - 1] && index < this.blocks.length - 1);
+    if (isAisle) {
+      attributes.push(SeatAttribute.AISLE);
+    }
+    if (attributes.length === 0) {
+      attributes.push(SeatAttribute.MIDDLE);
+    }
+    if (this.exitRows.includes(row)) {
+      attributes.push(SeatAttribute.EXIT_ROW);
+    }
+    return attributes;
   }
 
-  generateSeats(totalSeats) {
-    let seats = [];
-    for (let i = 1; i <= totalSeats; i++) {
-      let seatType = SeatType.ECONOMY;
-      if (i <= 10) seatType = SeatType.FIRST_CLASS;
-      else if (i <= 30) seatType = SeatType.BUSINESS;
-      seats.push(new Seat(i, seatType));
+  generateSeats() {
+    const seats = [];
+    for (let row = this.firstRow; row <= this.lastRow; row++) {
+      for (const letter of this.getLetters()) {
+        seats.push(
+          new Seat(row, letter, this.seatType, this.getAttributes(row, letter))
+        );
+      }
     }
     return seats;
   }
 }
 
+// AircraftLayout Class
+class AircraftLayout {
+  constructor(name, cabins) {
+    const sorted = [...cabins].sort((a, b) => a.firstRow - b.firstRow);
+    for (let i = 1; i < sorted.length; i++) {
+      if (sorted[i].firstRow <= sorted[i - 1].lastRow) {
+        throw new Error("Cabin row ranges must not overlap");
+      }
+    }
+    this.name = name;
+    this.cabins = sorted;
+  }
+
+  generateSeats() {
+    return this.cabins.flatMap((cabin) => cabin.generateSeats());
+  }
+}
+
+// Common layouts
+const AircraftLayouts = Object.freeze({
+  AIRBUS_A320: new AircraftLayout("Airbus A320", [
+    new CabinLayout(SeatType.BUSINESS, 1, 3, "AC DF"),
+    new CabinLayout(SeatType.ECONOMY, 4, 30, "ABC DEF", [12, 13]),
+  ]),
+  BOEING_777: new AircraftLayout("Boeing 777", [
+    new CabinLayout(SeatType.FIRST_CLASS, 1, 2, "A DG K"),
+    new CabinLayout(SeatType.BUSINESS, 3, 10, "AC DG HK"),
+    new CabinLayout(SeatType.ECONOMY, 11, 45, "ABC DEFG HJK", [11, 30]),
+  ]),
+});
+
+// Aircraft Class
+// The aircraft only describes its layout; each flight it operates gets its
+// own seats generated from that layout
+class Aircraft {
+  constructor(tailNumber, model, layout) {
+    this.tailNumber = tailNumber;
+    this.model = model;
+    this.layout = layout;
+    this.totalSeats = layout.generateSeats().length;
+  }
+}
+
 // Flight Class
 class Flight {
   constructor(
@@ -77,13 +264,305 @@ class Flight {
     this.departureTime = new Date(departureTime);
     this.arrivalTime = new Date(arrivalTime);
     this.aircraft = aircraft;
+    this.seats = aircraft.layout.generateSeats();
+    this.fares = new Map();
+    this.overbookingAllowances = new Map();
+    this.gate = null;
+    this.status = FlightStatus.SCHEDULED;
+  }
+
+  setStatus(status) {
+    if (!FlightStatusTransitions[this.status].includes(status)) {
+      throw new Error(
+        `Cannot change flight status from ${this.status} to ${status}`
+      );
+    }
+    this.status = status;
+  }
+
+  // Departure and arrival pushed back by the same amount
+  getDelayedTimes(minutes) {
+    if (!(minutes > 0)) {
+      throw new Error("Delay must be a positive number of minutes");
+    }
+    const delayMs = minutes * 60 * 1000;
+    return {
+      departureTime: new Date(this.departureTime.getTime() + delayMs),
+      arrivalTime: new Date(this.arrivalTime.getTime() + delayMs),
+    };
+  }
+
+  delay(minutes) {
+    const { departureTime, arrivalTime } = this.getDelayedTimes(minutes);
+    this.setStatus(FlightStatus.DELAYED);
+    this.departureTime = departureTime;
+    this.arrivalTime = arrivalTime;
+  }
+
+  isBookable() {
+    return (
+      this.status === FlightStatus.SCHEDULED ||
+      this.status === FlightStatus.DELAYED
+    );
+  }
+
+  setGate(gate) {
+    this.gate = gate;
+  }
+
+  // Number of bookings per cabin that may be sold without a seat
+  setOverbookingAllowance(seatType, count) {
+    this.overbookingAllowances.set(seatType, count);
+  }
+
+  getOverbookingAllowance(seatType) {
+    return this.overbookingAllowances.get(seatType) || 0;
+  }
+
+  // Buckets are sold cheapest first; each closes once the cabin's load
+  // factor reaches its maxLoadFactor
+  setFares(seatType, buckets) {
+    this.fares.set(
+      seatType,
+      [...buckets].sort((a, b) => a.price - b.price)
+    );
+  }
+
+  getLoadFactor(seatType) {
+    const cabin = this.seats.filter((seat) => seat.seatType === seatType);
+    if (cabin.length === 0) return 1;
+    const sold = cabin.filter(
+      (seat) => seat.seatStatus !== SeatStatus.AVAILABLE
+    ).length;
+    return sold / cabin.length;
+  }
+
+  getOpenFareBucket(seatType) {
+    const buckets = this.fares.get(seatType);
+    if (!buckets) {
+      throw new Error(
+        `No fares defined for ${seatType} on ${this.flightNumber}`
+      );
+    }
+    const loadFactor = this.getLoadFactor(seatType);
+    return buckets.find((bucket) => loadFactor < bucket.maxLoadFactor) || null;
+  }
+
+  getDuration() {
+    return this.arrivalTime - this.departureTime;
+  }
+
+  getSeat(seatNumber) {
+    return this.seats.find((seat) => seat.seatNumber === seatNumber);
   }
 
   getAvailableSeats() {
-    return this.aircraft.seats.filter(
+    return this.seats.filter(
       (seat) => seat.seatStatus === SeatStatus.AVAILABLE
     );
   }
+
+  // Seats grouped by row, keeping only those that match every filter given:
+  // { seatType, attributes: [SeatAttribute...], seatStatus }
+  getSeatMap({ seatType, attributes = [], seatStatus } = {}) {
+    const rows = new Map();
+    for (const seat of this.seats) {
+      if (seatType && seat.seatType !== seatType) continue;
+      if (seatStatus && seat.seatStatus !== seatStatus) continue;
+      if (!attributes.every((attribute) => seat.hasAttribute(attribute))) {
+        continue;
+      }
+      if (!rows.has(seat.row)) {
+        rows.set(seat.row, {
+          row: seat.row,
+          seatType: seat.seatType,
+          seats: [],
+        });
+      }
+      rows.get(seat.row).seats.push(seat);
+    }
+    return [...rows.values()];
+  }
+}
+
+// FareBucket Class
+// A bucket without a maxLoadFactor never closes, so a full cabin can still be
+// waitlisted or overbooked at that fare
+class FareBucket {
+  constructor(
+    code,
+    price,
+    maxLoadFactor = Infinity,
+    fareType = FareType.STANDARD
+  ) {
+    this.code = code;
+    this.price = price;
+    this.maxLoadFactor = maxLoadFactor;
+    this.fareType = fareType;
+  }
+}
+
+// FareQuote Class
+class FareQuote {
+  constructor(quoteId, flight, seatType, bucket, multiplier, expiresAt) {
+    this.quoteId = quoteId;
+    this.flightNumber = flight.flightNumber;
+    this.seatType = seatType;
+    this.fareCode = bucket.code;
+    this.fareType = bucket.fareType;
+    this.baseFare = bucket.price;
+    this.multiplier = multiplier;
+    this.price = Math.round(bucket.price * multiplier * 100) / 100;
+    this.expiresAt = expiresAt;
+    this.used = false;
+  }
+
+  isExpired(now = new Date()) {
+    return now >= this.expiresAt;
+  }
+}
+
+// Singleton PricingEngine Class
+// Prices a seat from the flight's open fare bucket, then applies the first
+// departure rule whose window the flight falls inside:
+// [{ withinDays, multiplier }]
+class PricingEngine {
+  constructor() {
+    if (PricingEngine.instance) {
+      return PricingEngine.instance;
+    }
+    PricingEngine.instance = this;
+    this.quotes = new Map();
+    this.quoteValidityMs = 15 * 60 * 1000;
+    this.departureRules = [
+      { withinDays: 3, multiplier: 1.5 },
+      { withinDays: 14, multiplier: 1.2 },
+    ];
+  }
+
+  setDepartureRules(rules) {
+    this.departureRules = [...rules].sort(
+      (a, b) => a.withinDays - b.withinDays
+    );
+  }
+
+  getDepartureMultiplier(flight, now = new Date()) {
+    const daysToDeparture = Math.max(
+      0,
+      (flight.departureTime - now) / (24 * 60 * 60 * 1000)
+    );
+    const rule = this.departureRules.find(
+      (r) => daysToDeparture <= r.withinDays
+    );
+    return rule ? rule.multiplier : 1;
+  }
+
+  // Current price of a seat without issuing a quote; null when the cabin has
+  // no fares or is sold out
+  getCurrentPrice(flight, seatType, now = new Date()) {
+    if (!flight.fares.has(seatType)) return null;
+    const bucket = flight.getOpenFareBucket(seatType);
+    if (!bucket) return null;
+    const multiplier = this.getDepartureMultiplier(flight, now);
+    return Math.round(bucket.price * multiplier * 100) / 100;
+  }
+
+  quote(flight, seatType, now = new Date()) {
+    const bucket = flight.getOpenFareBucket(seatType);
+    if (!bucket) {
+      throw new Error(`${seatType} is sold out on ${flight.flightNumber}`);
+    }
+    const quote = new FareQuote(
+      `QTE${Date.now()}${this.quotes.size}`,
+      flight,
+      seatType,
+      bucket,
+      this.getDepartureMultiplier(flight, now),
+      new Date(now.getTime() + this.quoteValidityMs)
+    );
+    this.quotes.set(quote.quoteId, quote);
+    return quote;
+  }
+
+  // Returns the quote for a seat, reusing quoteId if it is still valid
+  resolveQuote(flight, seat, quoteId) {
+    if (!quoteId) {
+      return this.quote(flight, seat.seatType);
+    }
+    const quote = this.quotes.get(quoteId);
+    if (!quote) {
+      throw new Error("Fare quote not found");
+    }
+    if (
+      quote.flightNumber !== flight.flightNumber ||
+      quote.seatType !== seat.seatType
+    ) {
+      throw new Error("Fare quote does not match this seat");
+    }
+    if (quote.used) {
+      throw new Error("Fare quote has already been used");
+    }
+    if (quote.isExpired()) {
+      throw new Error("Fare quote has expired");
+    }
+    return quote;
+  }
+
+  // A quote prices exactly one booking
+  markUsed(quote) {
+    quote.used = true;
+  }
+}
+
+// Baggage Class
+class Baggage {
+  constructor(tagNumber, flightNumber, weightKg) {
+    if (!(weightKg > 0)) {
+      throw new Error("Baggage weight must be positive");
+    }
+    this.tagNumber = tagNumber;
+    this.flightNumber = flightNumber;
+    this.weightKg = weightKg;
+    this.excessCharge = 0;
+  }
+}
+
+// Free checked bags per cabin and fare type, and what is charged beyond them
+const BaggageAllowances = Object.freeze({
+  [SeatType.ECONOMY]: {
+    [FareType.SAVER]: { pieces: 0, maxWeightKg: 23 },
+    [FareType.STANDARD]: { pieces: 1, maxWeightKg: 23 },
+    [FareType.FLEXIBLE]: { pieces: 2, maxWeightKg: 32 },
+  },
+  [SeatType.BUSINESS]: {
+    [FareType.SAVER]: { pieces: 1, maxWeightKg: 32 },
+    [FareType.STANDARD]: { pieces: 2, maxWeightKg: 32 },
+    [FareType.FLEXIBLE]: { pieces: 2, maxWeightKg: 32 },
+  },
+  [SeatType.FIRST_CLASS]: {
+    [FareType.SAVER]: { pieces: 2, maxWeightKg: 32 },
+    [FareType.STANDARD]: { pieces: 3, maxWeightKg: 32 },
+    [FareType.FLEXIBLE]: { pieces: 3, maxWeightKg: 32 },
+  },
+});
+
+const ExcessBaggageRates = Object.freeze({
+  perExtraPiece: 75,
+  perKgOverweight: 10,
+});
+
+// BoardingPass Class
+class BoardingPass {
+  constructor(booking, group, sequenceNumber, boardingTime) {
+    this.bookingNumber = booking.bookingNumber;
+    this.passengerName = booking.passenger.name;
+    this.flightNumber = booking.flight.flightNumber;
+    this.seatNumber = booking.seat.seatNumber;
+    this.gate = booking.flight.gate;
+    this.group = group;
+    this.sequenceNumber = sequenceNumber;
+    this.boardingTime = boardingTime;
+  }
 }
 
 // Passenger Class
@@ -94,35 +573,112 @@ class Passenger {
     this.email = email;
     this.phoneNumber = phoneNumber;
     this.baggageInfo = [];
+    this.loyaltyPoints = 0;
   }
 
   addBaggage(baggage) {
+    if (!(baggage instanceof Baggage)) {
+      throw new Error("Baggage must be a Baggage record");
+    }
     this.baggageInfo.push(baggage);
   }
 }
 
 // Booking Class
 class Booking {
-  constructor(bookingNumber, flight, passenger, seat, price) {
+  // seat is null for an overbooked booking until a seat frees up
+  constructor(bookingNumber, flight, passenger, seat, fareQuote) {
     this.bookingNumber = bookingNumber;
     this.flight = flight;
     this.passenger = passenger;
     this.seat = seat;
-    this.price = price;
+    this.seatType = seat ? seat.seatType : fareQuote.seatType;
+    this.fareQuote = fareQuote;
+    this.price = fareQuote.price;
     this.bookingStatus = BookingStatus.PENDING;
+    this.holdExpiresAt = null;
+    this.boardingPass = null;
+    this.baggage = [];
+  }
+
+  // Holds the seat as RESERVED until payment or until the hold runs out
+  placeHold(expiresAt) {
+    this.holdExpiresAt = expiresAt;
+    if (this.seat) this.seat.seatStatus = SeatStatus.RESERVED;
+  }
+
+  isHoldExpired(now = new Date()) {
+    return this.holdExpiresAt !== null && now >= this.holdExpiresAt;
+  }
+
+  isActive() {
+    return (
+      this.bookingStatus === BookingStatus.PENDING ||
+      this.bookingStatus === BookingStatus.CONFIRMED ||
+      this.bookingStatus === BookingStatus.CHECKED_IN
+    );
+  }
+
+  // Moves the booking onto a seat, freeing any seat it held before
+  assignSeat(seat) {
+    if (this.seat) this.seat.seatStatus = SeatStatus.AVAILABLE;
+    this.seat = seat;
+    this.seatType = seat.seatType;
+    seat.seatStatus =
+      this.bookingStatus === BookingStatus.PENDING
+        ? SeatStatus.RESERVED
+        : SeatStatus.BOOKED;
+  }
+
+  // Moves the booking to a seat on another flight; a boarding pass for the
+  // old flight no longer applies
+  rebook(flight, seat) {
+    if (this.bookingStatus === BookingStatus.CHECKED_IN) {
+      this.bookingStatus = BookingStatus.CONFIRMED;
+      this.boardingPass = null;
+    }
+    this.flight = flight;
+    this.assignSeat(seat);
+  }
+
+  expire() {
+    this.bookingStatus = BookingStatus.EXPIRED;
+    if (this.seat) this.seat.seatStatus = SeatStatus.AVAILABLE;
   }
 
   confirmBooking() {
     this.bookingStatus = BookingStatus.CONFIRMED;
-    this.seat.seatStatus = SeatStatus.BOOKED;
+    if (this.seat) this.seat.seatStatus = SeatStatus.BOOKED;
   }
 
   cancelBooking() {
     this.bookingStatus = BookingStatus.CANCELLED;
-    this.seat.seatStatus = SeatStatus.AVAILABLE;
+    if (this.seat) this.seat.seatStatus = SeatStatus.AVAILABLE;
+  }
+
+  checkIn(boardingPass, baggage) {
+    this.bookingStatus = BookingStatus.CHECKED_IN;
+    this.boardingPass = boardingPass;
+    this.baggage = baggage;
+  }
+}
+
+// WaitlistEntry Class
+class WaitlistEntry {
+  constructor(passenger, fareQuote) {
+    this.passenger = passenger;
+    this.fareQuote = fareQuote;
+    this.requestedAt = new Date();
   }
 }
 
+// Cabins from lowest to highest, used to decide what counts as an upgrade
+const CabinRank = Object.freeze({
+  [SeatType.ECONOMY]: 0,
+  [SeatType.BUSINESS]: 1,
+  [SeatType.FIRST_CLASS]: 2,
+});
+
 // Payment Class
 class Payment {
   constructor(paymentId, booking, paymentMethod, amount) {
@@ -131,6 +687,10 @@ class Payment {
     this.paymentMethod = paymentMethod;
     this.amount = amount;
     this.paymentStatus = PaymentStatus.PENDING;
+    this.refunds = [];
+    this.charges = [];
+    this.voucher = null;
+    this.cancellationSettledAt = null;
   }
 
   completePayment() {
@@ -141,6 +701,186 @@ class Payment {
   failPayment() {
     this.paymentStatus = PaymentStatus.FAILED;
   }
+
+  getRefundedAmount() {
+    return this.refunds.reduce((total, refund) => total + refund.amount, 0);
+  }
+
+  // Nothing is refundable in cash once the payment has become a voucher
+  getRefundableAmount() {
+    if (this.voucher) return 0;
+    return Math.round((this.amount - this.getRefundedAmount()) * 100) / 100;
+  }
+
+  // Settles what is left of the payment as travel credit
+  convertToVoucher(voucher) {
+    if (
+      this.paymentStatus !== PaymentStatus.COMPLETED &&
+      this.paymentStatus !== PaymentStatus.PARTIALLY_REFUNDED
+    ) {
+      throw new Error("Only completed payments can be converted to a voucher");
+    }
+    this.voucher = voucher;
+    this.paymentStatus = PaymentStatus.VOUCHERED;
+  }
+
+  // Extra charges such as excess baggage are added to the payment but are
+  // not refundable with the fare
+  addCharge(chargeId, amount, reason) {
+    if (this.paymentStatus === PaymentStatus.FAILED) {
+      throw new Error("Cannot charge a failed payment");
+    }
+    if (!(amount > 0)) {
+      throw new Error("Charge must be greater than zero");
+    }
+    const charge = { chargeId, amount, reason, chargedAt: new Date() };
+    this.charges.push(charge);
+    return charge;
+  }
+
+  getTotalCharged() {
+    return this.charges.reduce((total, charge) => total + charge.amount, 0);
+  }
+
+  // Records a full or partial refund against this payment
+  refund(refundId, amount, reason) {
+    if (
+      this.paymentStatus !== PaymentStatus.COMPLETED &&
+      this.paymentStatus !== PaymentStatus.PARTIALLY_REFUNDED
+    ) {
+      throw new Error("Only completed payments can be refunded");
+    }
+    if (!(amount > 0) || amount > this.getRefundableAmount()) {
+      throw new Error(
+        `Refund must be between 0 and ${this.getRefundableAmount()}`
+      );
+    }
+    const refund = { refundId, amount, reason, refundedAt: new Date() };
+    this.refunds.push(refund);
+    this.paymentStatus =
+      this.getRefundableAmount() === 0
+        ? PaymentStatus.REFUNDED
+        : PaymentStatus.PARTIALLY_REFUNDED;
+    return refund;
+  }
+}
+
+// Voucher Class
+// Travel credit issued instead of cash
+class Voucher {
+  constructor(code, passenger, amount, expiresAt) {
+    this.code = code;
+    this.passenger = passenger;
+    this.amount = amount;
+    this.expiresAt = expiresAt;
+  }
+}
+
+// CancellationPolicy Class
+// Rules are checked in order and the first whose minHoursBeforeDeparture the
+// cancellation meets applies: { minHoursBeforeDeparture, refundType, percent }.
+// Cancelling later than every rule allows refunds nothing.
+class CancellationPolicy {
+  constructor(rules) {
+    this.rules = [...rules].sort(
+      (a, b) => b.minHoursBeforeDeparture - a.minHoursBeforeDeparture
+    );
+  }
+
+  getRule(booking, now = new Date()) {
+    const hoursToDeparture =
+      (booking.flight.departureTime - now) / (60 * 60 * 1000);
+    return (
+      this.rules.find(
+        (rule) => hoursToDeparture >= rule.minHoursBeforeDeparture
+      ) || { refundType: RefundType.NONE, percent: 0 }
+    );
+  }
+}
+
+const CancellationPolicies = Object.freeze({
+  [FareType.SAVER]: new CancellationPolicy([
+    {
+      minHoursBeforeDeparture: 7 * 24,
+      refundType: RefundType.VOUCHER,
+      percent: 100,
+    },
+  ]),
+  [FareType.STANDARD]: new CancellationPolicy([
+    {
+      minHoursBeforeDeparture: 72,
+      refundType: RefundType.FULL_REFUND,
+      percent: 100,
+    },
+    {
+      minHoursBeforeDeparture: 24,
+      refundType: RefundType.PARTIAL_REFUND,
+      percent: 50,
+    },
+    {
+      minHoursBeforeDeparture: 0,
+      refundType: RefundType.VOUCHER,
+      percent: 100,
+    },
+  ]),
+  [FareType.FLEXIBLE]: new CancellationPolicy([
+    {
+      minHoursBeforeDeparture: 0,
+      refundType: RefundType.FULL_REFUND,
+      percent: 100,
+    },
+  ]),
+});
+
+// Itinerary Class
+// One or more flights flown back to back
+class Itinerary {
+  constructor(flights) {
+    this.flights = flights;
+  }
+
+  getDepartureTime() {
+    return this.flights[0].departureTime;
+  }
+
+  getArrivalTime() {
+    return this.flights[this.flights.length - 1].arrivalTime;
+  }
+
+  getDuration() {
+    return this.getArrivalTime() - this.getDepartureTime();
+  }
+
+  getStops() {
+    return this.flights.length - 1;
+  }
+
+  // Sum of each leg's current fare in the cabin; Infinity if any leg has no
+  // fare there
+  getPrice(seatType = SeatType.ECONOMY, now = new Date()) {
+    const pricingEngine = new PricingEngine();
+    let total = 0;
+    for (const flight of this.flights) {
+      const price = pricingEngine.getCurrentPrice(flight, seatType, now);
+      if (price === null) return Infinity;
+      total += price;
+    }
+    return Math.round(total * 100) / 100;
+  }
+}
+
+const ItinerarySort = Object.freeze({
+  DURATION: "duration",
+  STOPS: "stops",
+  PRICE: "price",
+});
+
+function isSameDay(a, b) {
+  return (
+    a.getFullYear() === b.getFullYear() &&
+    a.getMonth() === b.getMonth() &&
+    a.getDate() === b.getDate()
+  );
 }
 
 // FlightSearch Class
@@ -150,12 +890,85 @@ class FlightSearch {
   }
 
   searchFlights(source, destination, date) {
-    const searchDate = new Date(date).setHours(0, 0, 0, 0);
+    const searchDate = new Date(date);
     return this.flights.filter(
       (flight) =>
+        flight.isBookable() &&
         flight.source === source &&
         flight.destination === destination &&
-        flight.departureTime.setHours(0, 0, 0, 0) === searchDate
+        isSameDay(flight.departureTime, searchDate)
+    );
+  }
+
+  // Routes from source to destination whose first flight leaves on `date`,
+  // with at most `maxConnections` changes of aircraft. Every connection must
+  // leave at least `minConnectionMinutes` after the previous flight lands and
+  // no more than `maxConnectionMinutes` after it. Sorting by price uses the
+  // current fares in `seatType`.
+  searchItineraries(
+    source,
+    destination,
+    date,
+    {
+      maxConnections = 1,
+      minConnectionMinutes = 60,
+      maxConnectionMinutes = 24 * 60,
+      sortBy = ItinerarySort.DURATION,
+      seatType = SeatType.ECONOMY,
+    } = {}
+  ) {
+    const searchDate = new Date(date);
+    const minGap = minConnectionMinutes * 60 * 1000;
+    const maxGap = maxConnectionMinutes * 60 * 1000;
+    const itineraries = [];
+
+    const extend = (route, visited) => {
+      const last = route[route.length - 1];
+      if (last.destination === destination) {
+        itineraries.push(new Itinerary([...route]));
+        return;
+      }
+      if (route.length > maxConnections) return;
+      for (const flight of this.flights) {
+        const gap = flight.departureTime - last.arrivalTime;
+        if (
+          flight.isBookable() &&
+          flight.source === last.destination &&
+          !visited.has(flight.destination) &&
+          gap >= minGap &&
+          gap <= maxGap
+        ) {
+          visited.add(flight.destination);
+          route.push(flight);
+          extend(route, visited);
+          route.pop();
+          visited.delete(flight.destination);
+        }
+      }
+    };
+
+    for (const flight of this.flights) {
+      if (
+        flight.isBookable() &&
+        flight.source === source &&
+        flight.destination !== source &&
+        isSameDay(flight.departureTime, searchDate)
+      ) {
+        extend([flight], new Set([source, flight.destination]));
+      }
+    }
+
+    const compare = {
+      [ItinerarySort.DURATION]: (a, b) => a.getDuration() - b.getDuration(),
+      [ItinerarySort.STOPS]: (a, b) => a.getStops() - b.getStops(),
+      [ItinerarySort.PRICE]: (a, b) =>
+        a.getPrice(seatType) - b.getPrice(seatType),
+    }[sortBy];
+    if (!compare) {
+      throw new Error(`Unknown sort order: ${sortBy}`);
+    }
+    return itineraries.sort(
+      (a, b) => compare(a, b) || a.getDuration() - b.getDuration()
     );
   }
 }
@@ -168,21 +981,37 @@ class BookingManager {
     }
     BookingManager.instance = this;
     this.bookings = [];
+    this.holdDurationMs = 15 * 60 * 1000;
+    this.holdTimers = new Map();
+    this.waitlists = new Map();
+    this.minConnectionMinutes = 60;
+    this.itineraryCount = 0;
   }
 
-  createBooking(flight, passenger, seatNumber, price) {
-    const seat = flight.aircraft.seats.find(
-      (seat) => seat.seatNumber === seatNumber
-    );
+  setHoldDuration(holdDurationMs) {
+    this.holdDurationMs = holdDurationMs;
+  }
+
+  setMinConnection(minutes) {
+    this.minConnectionMinutes = minutes;
+  }
+
+  createBooking(flight, passenger, seatNumber, fareQuote) {
+    if (!flight.isBookable()) {
+      throw new Error("Flight is not open for booking");
+    }
+    const seat = flight.getSeat(seatNumber);
     if (seat && seat.seatStatus === SeatStatus.AVAILABLE) {
-      const bookingNumber = `BKG${Date.now()}`;
+      const bookingNumber = `BKG${Date.now()}${this.bookings.length}`;
       const booking = new Booking(
         bookingNumber,
         flight,
         passenger,
         seat,
-        price
+        fareQuote
       );
+      booking.placeHold(new Date(Date.now() + this.holdDurationMs));
+      this.scheduleHoldExpiry(booking);
       this.bookings.push(booking);
       return booking;
     } else {
@@ -190,35 +1019,487 @@ class BookingManager {
     }
   }
 
-  cancelBooking(bookingNumber) {
-    const booking = this.bookings.find(
-      (b) => b.bookingNumber === bookingNumber
+  // Books any seat in the cabin, or none at all while the flight's
+  // overbooking allowance for the cabin lasts
+  createCabinBooking(flight, passenger, seatType, fareQuote) {
+    if (!flight.isBookable()) {
+      throw new Error("Flight is not open for booking");
+    }
+    const seat = flight.seats.find(
+      (s) => s.seatType === seatType && s.seatStatus === SeatStatus.AVAILABLE
     );
-    if (booking && booking.bookingStatus === BookingStatus.CONFIRMED) {
-      booking.cancelBooking();
-      return true;
-    } else {
-      throw new Error("Booking cannot be cancelled");
+    if (seat) {
+      return this.createBooking(flight, passenger, seat.seatNumber, fareQuote);
+    }
+    const overbooked = this.getUnseatedBookings(flight, seatType).length;
+    if (overbooked >= flight.getOverbookingAllowance(seatType)) {
+      throw new Error("Seat not available");
     }
+    const booking = new Booking(
+      `BKG${Date.now()}${this.bookings.length}`,
+      flight,
+      passenger,
+      null,
+      fareQuote
+    );
+    booking.placeHold(new Date(Date.now() + this.holdDurationMs));
+    this.scheduleHoldExpiry(booking);
+    this.bookings.push(booking);
+    return booking;
   }
 
-  getBooking(bookingNumber) {
-    return this.bookings.find((b) => b.bookingNumber === bookingNumber);
+  getUnseatedBookings(flight, seatType) {
+    return this.bookings.filter(
+      (b) =>
+        b.flight === flight &&
+        b.seatType === seatType &&
+        b.seat === null &&
+        b.isActive()
+    );
   }
-}
 
-// Singleton PaymentProcessor Class
-class PaymentProcessor {
-  constructor() {
-    if (PaymentProcessor.instance) {
-      return PaymentProcessor.instance;
+  getWaitlist(flight, seatType) {
+    const key = `${flight.flightNumber}:${seatType}`;
+    if (!this.waitlists.has(key)) {
+      this.waitlists.set(key, []);
     }
-    PaymentProcessor.instance = this;
-    this.payments = [];
+    return this.waitlists.get(key);
+  }
+
+  joinWaitlist(flight, passenger, seatType, fareQuote) {
+    const waitlist = this.getWaitlist(flight, seatType);
+    if (waitlist.some((entry) => entry.passenger.id === passenger.id)) {
+      throw new Error("Passenger is already on the waitlist");
+    }
+    const entry = new WaitlistEntry(passenger, fareQuote);
+    waitlist.push(entry);
+    return entry;
+  }
+
+  leaveWaitlist(flight, passengerId, seatType) {
+    const waitlist = this.getWaitlist(flight, seatType);
+    const index = waitlist.findIndex((e) => e.passenger.id === passengerId);
+    if (index === -1) return false;
+    waitlist.splice(index, 1);
+    return true;
+  }
+
+  // Hands a freed seat to the oldest overbooked booking in its cabin or, if
+  // there is none, holds it for the first passenger on the waitlist at the
+  // fare they were quoted. Returns the booking that got the seat, if any.
+  reallocateSeat(flight, seat) {
+    if (!flight.isBookable() || seat.seatStatus !== SeatStatus.AVAILABLE) {
+      return null;
+    }
+    const [unseated] = this.getUnseatedBookings(flight, seat.seatType);
+    if (unseated) {
+      unseated.assignSeat(seat);
+      return unseated;
+    }
+    const entry = this.getWaitlist(flight, seat.seatType).shift();
+    if (!entry) return null;
+    const booking = this.createBooking(
+      flight,
+      entry.passenger,
+      seat.seatNumber,
+      entry.fareQuote
+    );
+    booking.fromWaitlist = true;
+    return booking;
+  }
+
+  // Drops every waitlist for the flight and returns the entries removed
+  clearWaitlists(flight) {
+    const removed = [];
+    for (const seatType of Object.values(SeatType)) {
+      removed.push(...this.getWaitlist(flight, seatType));
+      this.waitlists.delete(`${flight.flightNumber}:${seatType}`);
+    }
+    return removed;
+  }
+
+  // The next active leg booked on the same itinerary, if any
+  getOnwardLeg(booking) {
+    if (!booking.itineraryNumber) return null;
+    const later = this.bookings
+      .filter(
+        (b) =>
+          b !== booking &&
+          b.itineraryNumber === booking.itineraryNumber &&
+          b.isActive() &&
+          b.flight.departureTime > booking.flight.departureTime
+      )
+      .sort((a, b) => a.flight.departureTime - b.flight.departureTime);
+    return later[0] || null;
+  }
+
+  // Moves a booking off a cancelled flight onto the earliest later flight on
+  // the same route, keeping its cabin if any of those flights has room there
+  // and otherwise taking the nearest cabin (higher on a tie). A leg of an
+  // itinerary only moves to a flight that still makes the onward connection.
+  // Returns false when no flight has a free seat.
+  reaccommodate(booking, flights) {
+    const from = booking.flight;
+    const onward = this.getOnwardLeg(booking);
+    const latestArrival = onward
+      ? onward.flight.departureTime - this.minConnectionMinutes * 60 * 1000
+      : Infinity;
+    const candidates = flights
+      .filter(
+        (f) =>
+          f !== from &&
+          f.isBookable() &&
+          f.source === from.source &&
+          f.destination === from.destination &&
+          f.departureTime >= from.departureTime &&
+          f.arrivalTime <= latestArrival
+      )
+      .sort((a, b) => a.departureTime - b.departureTime);
+    const rank = CabinRank[booking.seatType];
+    const cabins = Object.values(SeatType).sort(
+      (a, b) =>
+        Math.abs(CabinRank[a] - rank) - Math.abs(CabinRank[b] - rank) ||
+        CabinRank[b] - CabinRank[a]
+    );
+    for (const cabin of cabins) {
+      for (const flight of candidates) {
+        const seat = flight
+          .getAvailableSeats()
+          .find((s) => s.seatType === cabin);
+        if (seat) {
+          booking.rebook(flight, seat);
+          booking.reaccommodatedFrom = from.flightNumber;
+          return true;
+        }
+      }
+    }
+    return false;
+  }
+
+  // Moves confirmed passengers into empty seats in higher cabins, highest
+  // cabin first so the seats they leave can be filled in turn. Candidates
+  // are ranked by cabin, then loyalty points, then fare paid; isEligible can
+  // narrow them further.
+  processUpgrades(flight, { now = new Date(), isEligible = () => true } = {}) {
+    if (now >= flight.departureTime) {
+      throw new Error("Flight has already departed");
+    }
+    const upgrades = [];
+    const cabins = [SeatType.FIRST_CLASS, SeatType.BUSINESS];
+    for (const cabin of cabins) {
+      const emptySeats = flight.seats.filter(
+        (s) => s.seatType === cabin && s.seatStatus === SeatStatus.AVAILABLE
+      );
+      const candidates = this.bookings
+        .filter(
+          (b) =>
+            b.flight === flight &&
+            b.bookingStatus === BookingStatus.CONFIRMED &&
+            b.seat !== null &&
+            CabinRank[b.seatType] < CabinRank[cabin] &&
+            isEligible(b)
+        )
+        .sort(
+          (a, b) =>
+            CabinRank[b.seatType] - CabinRank[a.seatType] ||
+            b.passenger.loyaltyPoints - a.passenger.loyaltyPoints ||
+            b.price - a.price
+        );
+      for (const seat of emptySeats) {
+        const booking = candidates.shift();
+        if (!booking) break;
+        const from = booking.seat;
+        booking.assignSeat(seat);
+        booking.upgradedFrom = from.seatType;
+        upgrades.push({ booking, from: from.seatNumber, to: seat.seatNumber });
+        this.reallocateSeat(flight, from);
+      }
+    }
+    return upgrades;
+  }
+
+  // Books one seat on every leg or, if any seat is taken, none of them.
+  // legs: [{ flight, seatNumber, fareQuote }]
+  createItineraryBookings(legs, passenger) {
+    const flightNumbers = new Set(legs.map((leg) => leg.flight.flightNumber));
+    if (flightNumbers.size !== legs.length) {
+      throw new Error("Itinerary contains the same flight twice");
+    }
+    for (const leg of legs) {
+      if (!leg.flight.isBookable()) {
+        throw new Error(`${leg.flight.flightNumber} is not open for booking`);
+      }
+      const seat = leg.flight.getSeat(leg.seatNumber);
+      if (!seat || seat.seatStatus !== SeatStatus.AVAILABLE) {
+        throw new Error(
+          `Seat ${leg.seatNumber} not available on ${leg.flight.flightNumber}`
+        );
+      }
+    }
+    const itineraryNumber = `ITN${Date.now()}${this.itineraryCount++}`;
+    return legs.map((leg) => {
+      const booking = this.createBooking(
+        leg.flight,
+        passenger,
+        leg.seatNumber,
+        leg.fareQuote
+      );
+      booking.itineraryNumber = itineraryNumber;
+      return booking;
+    });
+  }
+
+  scheduleHoldExpiry(booking) {
+    const timer = setTimeout(
+      () => this.expireHold(booking.bookingNumber),
+      this.holdDurationMs
+    );
+    // An outstanding hold should not keep the process alive on its own
+    timer.unref();
+    this.holdTimers.set(booking.bookingNumber, timer);
+  }
+
+  expireHold(bookingNumber) {
+    this.clearHold(bookingNumber);
+    const booking = this.getBooking(bookingNumber);
+    if (booking && booking.bookingStatus === BookingStatus.PENDING) {
+      booking.expire();
+      if (booking.seat) this.reallocateSeat(booking.flight, booking.seat);
+    }
+  }
+
+  clearHold(bookingNumber) {
+    clearTimeout(this.holdTimers.get(bookingNumber));
+    this.holdTimers.delete(bookingNumber);
+  }
+
+  // Throws unless the booking is still pending with an unexpired hold
+  checkHold(booking) {
+    if (
+      booking.bookingStatus === BookingStatus.PENDING &&
+      booking.isHoldExpired()
+    ) {
+      this.expireHold(booking.bookingNumber);
+    }
+    if (booking.bookingStatus === BookingStatus.EXPIRED) {
+      throw new Error("Seat hold has expired");
+    }
+    if (booking.bookingStatus !== BookingStatus.PENDING) {
+      throw new Error("Booking is not awaiting payment");
+    }
+  }
+
+  cancelBooking(bookingNumber) {
+    const booking = this.bookings.find(
+      (b) => b.bookingNumber === bookingNumber
+    );
+    if (booking && booking.bookingStatus === BookingStatus.CONFIRMED) {
+      booking.cancelBooking();
+      if (booking.seat) this.reallocateSeat(booking.flight, booking.seat);
+      return true;
+    } else {
+      throw new Error("Booking cannot be cancelled");
+    }
+  }
+
+  getBooking(bookingNumber) {
+    return this.bookings.find((b) => b.bookingNumber === bookingNumber);
+  }
+}
+
+// Singleton CheckInService Class
+// Check-in opens checkInOpensHours before departure and closes
+// checkInClosesMinutes before it. Boarding runs from the back: First, then
+// Business, then the rear half of Economy, then the front half.
+class CheckInService {
+  constructor() {
+    if (CheckInService.instance) {
+      return CheckInService.instance;
+    }
+    CheckInService.instance = this;
+    this.checkInOpensHours = 24;
+    this.checkInClosesMinutes = 45;
+    this.boardingStartsMinutes = 40;
+    this.sequenceNumbers = new Map();
+    this.nextTagNumber = 1;
+    this.paymentProcessor = new PaymentProcessor();
+  }
+
+  isCheckInOpen(flight, now = new Date()) {
+    const opens = new Date(
+      flight.departureTime.getTime() - this.checkInOpensHours * 60 * 60 * 1000
+    );
+    const closes = new Date(
+      flight.departureTime.getTime() - this.checkInClosesMinutes * 60 * 1000
+    );
+    return now >= opens && now < closes;
+  }
+
+  getBoardingGroup(flight, seat) {
+    if (seat.seatType === SeatType.FIRST_CLASS) return 1;
+    if (seat.seatType === SeatType.BUSINESS) return 2;
+    const cabin = flight.aircraft.layout.cabins.find(
+      (c) => c.seatType === seat.seatType
+    );
+    const middle = (cabin.firstRow + cabin.lastRow) / 2;
+    return seat.row > middle ? 3 : 4;
+  }
+
+  // Tags each bag and prices whatever exceeds the fare's allowance: every
+  // piece beyond the free count pays perExtraPiece, and every bag pays
+  // perKgOverweight for each kilogram above the weight limit
+  tagBaggage(booking, bagWeights) {
+    // Weights are checked up front so a bad bag does not use up tag numbers
+    if (!bagWeights.every((weightKg) => weightKg > 0)) {
+      throw new Error("Baggage weight must be positive");
+    }
+    const { seatType, fareType } = booking.fareQuote;
+    const allowance = BaggageAllowances[seatType][fareType];
+    return bagWeights.map((weightKg, i) => {
+      const bag = new Baggage(
+        `BAG${String(this.nextTagNumber++).padStart(6, "0")}`,
+        booking.flight.flightNumber,
+        weightKg
+      );
+      if (i >= allowance.pieces) {
+        bag.excessCharge += ExcessBaggageRates.perExtraPiece;
+      }
+      const overweightKg = Math.ceil(
+        Math.max(0, weightKg - allowance.maxWeightKg)
+      );
+      bag.excessCharge += overweightKg * ExcessBaggageRates.perKgOverweight;
+      return bag;
+    });
+  }
+
+  // Any excess baggage fee is charged to the booking's payment before the
+  // boarding pass is issued
+  checkIn(booking, bagWeights = [], now = new Date()) {
+    if (booking.bookingStatus !== BookingStatus.CONFIRMED) {
+      throw new Error("Only confirmed bookings can be checked in");
+    }
+    if (!booking.seat) {
+      throw new Error("No seat assigned; see the gate agent");
+    }
+    if (!this.isCheckInOpen(booking.flight, now)) {
+      throw new Error("Check-in is not open for this flight");
+    }
+    const flight = booking.flight;
+    const baggage = this.tagBaggage(booking, bagWeights);
+    const excessCharge = baggage.reduce(
+      (total, bag) => total + bag.excessCharge,
+      0
+    );
+    const charge =
+      excessCharge > 0
+        ? this.paymentProcessor.chargeBooking(
+            booking,
+            excessCharge,
+            "Excess baggage"
+          )
+        : null;
+    // Numbered only once the baggage is tagged and paid for, so a failed
+    // check-in does not leave a gap in the sequence
+    const sequenceNumber = (this.sequenceNumbers.get(flight) || 0) + 1;
+    this.sequenceNumbers.set(flight, sequenceNumber);
+    const boardingPass = new BoardingPass(
+      booking,
+      this.getBoardingGroup(flight, booking.seat),
+      sequenceNumber,
+      new Date(
+        flight.departureTime.getTime() - this.boardingStartsMinutes * 60 * 1000
+      )
+    );
+    booking.checkIn(boardingPass, baggage);
+    baggage.forEach((bag) => booking.passenger.addBaggage(bag));
+    return { boardingPass, baggage, excessCharge, charge };
+  }
+
+  // Checked-in passengers in boarding order
+  getBoardingManifest(flight, bookings) {
+    const passengers = bookings
+      .filter(
+        (b) =>
+          b.flight === flight && b.bookingStatus === BookingStatus.CHECKED_IN
+      )
+      .map((b) => ({
+        name: b.passenger.name,
+        seatNumber: b.seat.seatNumber,
+        group: b.boardingPass.group,
+        sequenceNumber: b.boardingPass.sequenceNumber,
+        bags: b.baggage.map((bag) => bag.tagNumber),
+        baggageWeightKg: b.baggage.reduce((kg, bag) => kg + bag.weightKg, 0),
+      }))
+      .sort((a, b) => a.group - b.group || a.sequenceNumber - b.sequenceNumber);
+    return {
+      flightNumber: flight.flightNumber,
+      gate: flight.gate,
+      passengers,
+      totalBags: passengers.reduce((n, p) => n + p.bags.length, 0),
+      totalBaggageWeightKg: passengers.reduce(
+        (kg, p) => kg + p.baggageWeightKg,
+        0
+      ),
+    };
+  }
+}
+
+// Singleton NotificationService Class
+// Keeps every message sent. Channels (email, SMS, ...) are callbacks that
+// receive each notification as it goes out.
+class NotificationService {
+  constructor() {
+    if (NotificationService.instance) {
+      return NotificationService.instance;
+    }
+    NotificationService.instance = this;
+    this.notifications = [];
+    this.channels = [];
+  }
+
+  addChannel(channel) {
+    this.channels.push(channel);
+  }
+
+  notify(passenger, flight, message) {
+    const notification = {
+      passengerId: passenger.id,
+      email: passenger.email,
+      flightNumber: flight.flightNumber,
+      message,
+      sentAt: new Date(),
+    };
+    this.notifications.push(notification);
+    this.channels.forEach((channel) => channel(notification));
+    return notification;
+  }
+
+  getNotifications(passengerId) {
+    return this.notifications.filter((n) => n.passengerId === passengerId);
+  }
+}
+
+// Singleton PaymentProcessor Class
+class PaymentProcessor {
+  constructor() {
+    if (PaymentProcessor.instance) {
+      return PaymentProcessor.instance;
+    }
+    PaymentProcessor.instance = this;
+    this.payments = [];
+    this.vouchers = [];
+    this.nextRefundId = 1;
+    this.nextChargeId = 1;
   }
 
   processPayment(booking, paymentMethod, amount) {
-    const paymentId = `PAY${Date.now()}`;
+    // The quoted fare is owed exactly; anything else is refused up front
+    if (amount !== booking.price) {
+      throw new Error(
+        `Payment of ${amount} does not match the quoted fare of ${booking.price}`
+      );
+    }
+    const paymentId = `PAY${Date.now()}${this.payments.length}`;
     const payment = new Payment(paymentId, booking, paymentMethod, amount);
     // Simulate payment processing
     try {
@@ -231,6 +1512,81 @@ class PaymentProcessor {
       throw new Error("Payment failed");
     }
   }
+
+  getPayment(paymentId) {
+    return this.payments.find((p) => p.paymentId === paymentId);
+  }
+
+  getPaymentForBooking(booking) {
+    return this.payments.find(
+      (p) => p.booking === booking && p.paymentStatus !== PaymentStatus.FAILED
+    );
+  }
+
+  // Adds a fee to the payment already made for the booking
+  chargeBooking(booking, amount, reason) {
+    const payment = this.getPaymentForBooking(booking);
+    if (!payment) {
+      throw new Error("No payment found for booking");
+    }
+    return payment.addCharge(`CHG${this.nextChargeId++}`, amount, reason);
+  }
+
+  refundPayment(payment, amount, reason) {
+    return payment.refund(`RFD${this.nextRefundId++}`, amount, reason);
+  }
+
+  issueVoucher(passenger, amount, validForDays = 365) {
+    const voucher = new Voucher(
+      `VCH${Date.now()}${this.vouchers.length}`,
+      passenger,
+      amount,
+      new Date(Date.now() + validForDays * 24 * 60 * 60 * 1000)
+    );
+    this.vouchers.push(voucher);
+    return voucher;
+  }
+
+  // Applies the fare's cancellation policy to what is left of the payment.
+  // A payment is settled once: as a cash refund, a voucher or nothing.
+  settleCancellation(booking, now = new Date()) {
+    const payment = this.getPaymentForBooking(booking);
+    if (payment && payment.cancellationSettledAt) {
+      throw new Error("Cancellation has already been settled");
+    }
+    const policy = CancellationPolicies[booking.fareQuote.fareType];
+    const rule = policy.getRule(booking, now);
+    const outcome = {
+      bookingNumber: booking.bookingNumber,
+      refundType: rule.refundType,
+      amount: 0,
+      refund: null,
+      voucher: null,
+    };
+    if (!payment) {
+      outcome.refundType = RefundType.NONE;
+      return outcome;
+    }
+    payment.cancellationSettledAt = now;
+    if (rule.refundType === RefundType.NONE) {
+      return outcome;
+    }
+    outcome.amount =
+      Math.round(payment.getRefundableAmount() * rule.percent) / 100;
+    if (outcome.amount === 0) {
+      outcome.refundType = RefundType.NONE;
+    } else if (rule.refundType === RefundType.VOUCHER) {
+      outcome.voucher = this.issueVoucher(booking.passenger, outcome.amount);
+      payment.convertToVoucher(outcome.voucher);
+    } else {
+      outcome.refund = this.refundPayment(
+        payment,
+        outcome.amount,
+        "Booking cancelled"
+      );
+    }
+    return outcome;
+  }
 }
 
 // User Class
@@ -242,7 +1598,304 @@ class User {
   }
 }
 
+// Singleton RotationValidator Class
+// Checks that a new flight fits its aircraft's existing schedule: no
+// overlapping flights, at least minTurnaroundMinutes on the ground between
+// them, and each flight leaving from where the previous one landed
+class RotationValidator {
+  constructor() {
+    if (RotationValidator.instance) {
+      return RotationValidator.instance;
+    }
+    RotationValidator.instance = this;
+    this.minTurnaroundMinutes = 45;
+  }
+
+  setMinTurnaround(minutes) {
+    this.minTurnaroundMinutes = minutes;
+  }
+
+  getRotation(aircraft, flights) {
+    return flights
+      .filter(
+        (f) =>
+          f.aircraft.tailNumber === aircraft.tailNumber &&
+          f.status !== FlightStatus.CANCELLED
+      )
+      .sort((a, b) => a.departureTime - b.departureTime);
+  }
+
+  // Throws if the flight does not fit between the flights either side of it.
+  // times ({ departureTime, arrivalTime }) checks a proposed retiming of a
+  // flight already in the rotation.
+  validate(flight, flights, times = flight) {
+    const leg = {
+      flightNumber: flight.flightNumber,
+      source: flight.source,
+      destination: flight.destination,
+      departureTime: times.departureTime,
+      arrivalTime: times.arrivalTime,
+    };
+    if (leg.arrivalTime <= leg.departureTime) {
+      throw new Error(`${flight.flightNumber} must arrive after it departs`);
+    }
+    const rotation = this.getRotation(flight.aircraft, flights).filter(
+      (f) => f !== flight
+    );
+    const tail = flight.aircraft.tailNumber;
+    const turnaroundMs = this.minTurnaroundMinutes * 60 * 1000;
+    for (const other of rotation) {
+      if (
+        leg.departureTime < other.arrivalTime &&
+        other.departureTime < leg.arrivalTime
+      ) {
+        throw new Error(
+          `${tail} is already flying ${other.flightNumber} at that time`
+        );
+      }
+    }
+    const previous = rotation
+      .filter((f) => f.arrivalTime <= leg.departureTime)
+      .pop();
+    const next = rotation.find((f) => f.departureTime >= leg.arrivalTime);
+    for (const [before, after] of [
+      [previous, leg],
+      [leg, next],
+    ]) {
+      if (!before || !after) continue;
+      if (after.departureTime - before.arrivalTime < turnaroundMs) {
+        throw new Error(
+          `${tail} needs ${this.minTurnaroundMinutes} minutes between ` +
+            `${before.flightNumber} and ${after.flightNumber}`
+        );
+      }
+      if (after.source !== before.destination) {
+        throw new Error(
+          `${tail} lands ${before.flightNumber} in ${before.destination} ` +
+            `but ${after.flightNumber} departs from ${after.source}`
+        );
+      }
+    }
+  }
+}
+
+// CrewMember Class
+class CrewMember {
+  constructor(id, name, crewRole) {
+    this.id = id;
+    this.name = name;
+    this.crewRole = crewRole;
+  }
+}
+
+// CrewRoster Class
+// A crew member is on duty from reportMinutes before departure until
+// releaseMinutes after arrival. Duty stretches separated by less than
+// minRestHours count as one duty period, which may last at most
+// maxDutyHours; no rolling seven days may add up to more than
+// maxWeeklyDutyHours.
+class CrewRoster {
+  constructor({
+    maxDutyHours = 13,
+    minRestHours = 10,
+    maxWeeklyDutyHours = 60,
+    reportMinutes = 60,
+    releaseMinutes = 30,
+  } = {}) {
+    this.maxDutyHours = maxDutyHours;
+    this.minRestHours = minRestHours;
+    this.maxWeeklyDutyHours = maxWeeklyDutyHours;
+    this.reportMinutes = reportMinutes;
+    this.releaseMinutes = releaseMinutes;
+    this.members = new Map();
+    this.assignments = new Map();
+  }
+
+  addMember(member) {
+    if (this.members.has(member.id)) {
+      throw new Error("Crew member already exists");
+    }
+    this.members.set(member.id, member);
+  }
+
+  // Two pilots, plus one cabin crew member per 50 seats (at least one)
+  getRequirements(flight) {
+    return {
+      [CrewRole.CAPTAIN]: 1,
+      [CrewRole.FIRST_OFFICER]: 1,
+      [CrewRole.CABIN_CREW]: Math.max(
+        1,
+        Math.ceil(flight.aircraft.totalSeats / 50)
+      ),
+    };
+  }
+
+  getCrew(flight) {
+    return this.assignments.get(flight) || [];
+  }
+
+  getDutyWindow(flight, times = flight) {
+    return {
+      start: times.departureTime.getTime() - this.reportMinutes * 60 * 1000,
+      end: times.arrivalTime.getTime() + this.releaseMinutes * 60 * 1000,
+    };
+  }
+
+  getFlightsFor(member) {
+    const flights = [];
+    for (const [flight, crew] of this.assignments) {
+      if (flight.status !== FlightStatus.CANCELLED && crew.includes(member)) {
+        flights.push(flight);
+      }
+    }
+    return flights;
+  }
+
+  // Throws if flying these flights would break a duty or rest limit.
+  // retimed maps a flight to proposed { departureTime, arrivalTime }.
+  checkDutyLimits(member, flights, retimed = new Map()) {
+    const hourMs = 60 * 60 * 1000;
+    const windows = flights
+      .map((f) => this.getDutyWindow(f, retimed.get(f) || f))
+      .sort((a, b) => a.start - b.start);
+    let periodStart = null;
+    windows.forEach((window, i) => {
+      const previous = windows[i - 1];
+      if (previous && window.start < previous.end) {
+        throw new Error(`${member.name} is already on duty at that time`);
+      }
+      if (
+        !previous ||
+        window.start - previous.end >= this.minRestHours * hourMs
+      ) {
+        periodStart = window.start;
+      }
+      if (window.end - periodStart > this.maxDutyHours * hourMs) {
+        throw new Error(
+          `${member.name} would exceed ${this.maxDutyHours} duty hours ` +
+            `without ${this.minRestHours} hours of rest`
+        );
+      }
+      const weekStart = window.end - 7 * 24 * hourMs;
+      const weeklyMs = windows
+        .slice(0, i + 1)
+        .reduce(
+          (total, w) =>
+            total + Math.max(0, w.end - Math.max(w.start, weekStart)),
+          0
+        );
+      if (weeklyMs > this.maxWeeklyDutyHours * hourMs) {
+        throw new Error(
+          `${member.name} would exceed ${this.maxWeeklyDutyHours} duty hours in seven days`
+        );
+      }
+    });
+  }
+
+  assign(flight, memberId) {
+    const member = this.members.get(memberId);
+    if (!member) {
+      throw new Error("Crew member not found");
+    }
+    const crew = this.getCrew(flight);
+    if (crew.includes(member)) {
+      throw new Error(`${member.name} is already on ${flight.flightNumber}`);
+    }
+    const needed = this.getRequirements(flight)[member.crewRole];
+    if (crew.filter((m) => m.crewRole === member.crewRole).length >= needed) {
+      throw new Error(
+        `${flight.flightNumber} already has enough ${member.crewRole}`
+      );
+    }
+    this.checkDutyLimits(member, [...this.getFlightsFor(member), flight]);
+    this.assignments.set(flight, [...crew, member]);
+  }
+
+  // Throws if the flight's crew could not fly it at the proposed times
+  checkRetiming(flight, times) {
+    for (const member of this.getCrew(flight)) {
+      this.checkDutyLimits(
+        member,
+        this.getFlightsFor(member),
+        new Map([[flight, times]])
+      );
+    }
+  }
+
+  unassign(flight, memberId) {
+    this.assignments.set(
+      flight,
+      this.getCrew(flight).filter((m) => m.id !== memberId)
+    );
+  }
+
+  // Flights still short of crew, with how many of each role they lack
+  getUnderCrewedFlights(flights) {
+    const report = [];
+    for (const flight of flights) {
+      if (flight.status === FlightStatus.CANCELLED) continue;
+      const crew = this.getCrew(flight);
+      const missing = {};
+      for (const [crewRole, needed] of Object.entries(
+        this.getRequirements(flight)
+      )) {
+        const short =
+          needed - crew.filter((m) => m.crewRole === crewRole).length;
+        if (short > 0) missing[crewRole] = short;
+      }
+      if (Object.keys(missing).length > 0) {
+        report.push({ flightNumber: flight.flightNumber, missing });
+      }
+    }
+    return report;
+  }
+}
+
+// AuthorizationError Class
+class AuthorizationError extends Error {
+  constructor(userId, action) {
+    super(`User ${userId} is not authorized to ${action}`);
+    this.name = "AuthorizationError";
+    this.userId = userId;
+    this.action = action;
+  }
+}
+
+// AuditTrail Class
+// Every access check, allowed or denied, in the order it happened
+class AuditTrail {
+  constructor() {
+    this.entries = [];
+  }
+
+  record(userId, role, action, permission, allowed, target = null) {
+    const entry = Object.freeze({
+      timestamp: new Date(),
+      userId,
+      role,
+      action,
+      permission,
+      allowed,
+      target,
+    });
+    this.entries.push(entry);
+    return entry;
+  }
+
+  // filter: { userId, allowed }
+  getEntries({ userId, allowed } = {}) {
+    return this.entries.filter(
+      (entry) =>
+        (userId === undefined || entry.userId === userId) &&
+        (allowed === undefined || entry.allowed === allowed)
+    );
+  }
+}
+
 // AirlineManagementSystem Class
+// Every operation takes the id of the user performing it as its first
+// argument. A passenger's user id is their passenger id, which is how "own"
+// permissions decide whose bookings they may touch.
 class AirlineManagementSystem {
   constructor() {
     this.flights = [];
@@ -251,54 +1904,452 @@ class AirlineManagementSystem {
     this.flightSearch = new FlightSearch(this.flights);
     this.bookingManager = new BookingManager();
     this.paymentProcessor = new PaymentProcessor();
+    this.pricingEngine = new PricingEngine();
+    this.checkInService = new CheckInService();
+    this.notificationService = new NotificationService();
+    this.auditTrail = new AuditTrail();
+    this.rotationValidator = new RotationValidator();
+    this.crewRoster = new CrewRoster();
+  }
+
+  // Throws AuthorizationError unless the acting user's role grants the
+  // permission, or grants its "own" counterpart and ownerId is the user's id
+  authorize(actingUserId, action, permission, ownerId = null, target = null) {
+    const user = this.users.find((u) => u.id === actingUserId);
+    const granted = user ? RolePermissions[user.role] : [];
+    const allowed =
+      granted.includes(permission) ||
+      (ownerId !== null &&
+        ownerId === actingUserId &&
+        granted.includes(OwnPermissions[permission]));
+    this.auditTrail.record(
+      actingUserId,
+      user ? user.role : null,
+      action,
+      permission,
+      allowed,
+      target
+    );
+    if (!allowed) {
+      throw new AuthorizationError(actingUserId, action);
+    }
+    return user;
+  }
+
+  getFlight(flightNumber) {
+    const flight = this.flights.find((f) => f.flightNumber === flightNumber);
+    if (!flight) {
+      throw new Error("Flight not found");
+    }
+    return flight;
+  }
+
+  getPassenger(passengerId) {
+    const passenger = this.passengers.find((p) => p.id === passengerId);
+    if (!passenger) {
+      throw new Error("Passenger not found");
+    }
+    return passenger;
+  }
+
+  // Authorizes before revealing whether the booking exists: a caller without
+  // the "any" permission is refused the same way for a missing booking as for
+  // someone else's, and both outcomes are audited against the booking number
+  authorizeBooking(actingUserId, action, permission, bookingNumber) {
+    const booking = this.bookingManager.getBooking(bookingNumber);
+    this.authorize(
+      actingUserId,
+      action,
+      permission,
+      booking ? booking.passenger.id : null,
+      bookingNumber
+    );
+    if (!booking) {
+      throw new Error("Booking not found");
+    }
+    return booking;
+  }
+
+  // Sends the message once to each passenger holding a booking on the flight
+  notifyPassengers(flight, message) {
+    const passengers = new Set(
+      this.bookingManager.bookings
+        .filter((b) => b.flight === flight && b.isActive())
+        .map((b) => b.passenger)
+    );
+    passengers.forEach((p) =>
+      this.notificationService.notify(p, flight, message)
+    );
+  }
+
+  updateFlightStatus(actingUserId, flightNumber, status) {
+    if (status === FlightStatus.CANCELLED) {
+      return this.cancelFlight(actingUserId, flightNumber);
+    }
+    this.authorize(
+      actingUserId,
+      "updateFlightStatus",
+      Permission.OPERATE_FLIGHTS
+    );
+    const flight = this.getFlight(flightNumber);
+    flight.setStatus(status);
+    this.notifyPassengers(flight, `Flight ${flightNumber} is ${status}`);
+  }
+
+  // Refuses a delay that would break the aircraft rotation or a crew duty
+  // limit, leaving the flight unchanged
+  delayFlight(actingUserId, flightNumber, minutes) {
+    this.authorize(actingUserId, "delayFlight", Permission.OPERATE_FLIGHTS);
+    const flight = this.getFlight(flightNumber);
+    const delayedTimes = flight.getDelayedTimes(minutes);
+    this.rotationValidator.validate(flight, this.flights, delayedTimes);
+    this.crewRoster.checkRetiming(flight, delayedTimes);
+    flight.delay(minutes);
+    this.notifyPassengers(
+      flight,
+      `Flight ${flightNumber} is delayed by ${minutes} minutes and now ` +
+        `departs at ${flight.departureTime.toISOString()}`
+    );
+  }
+
+  // Rebooks confirmed passengers onto the next flights on the route and
+  // refunds in full anyone who cannot be rebooked. Unpaid holds are released
+  // and waitlisted passengers told the flight is gone.
+  cancelFlight(actingUserId, flightNumber) {
+    this.authorize(actingUserId, "cancelFlight", Permission.OPERATE_FLIGHTS);
+    const flight = this.getFlight(flightNumber);
+    flight.setStatus(FlightStatus.CANCELLED);
+    const outcome = { rebooked: [], refunded: [], released: [] };
+    for (const entry of this.bookingManager.clearWaitlists(flight)) {
+      this.notificationService.notify(
+        entry.passenger,
+        flight,
+        `Flight ${flightNumber} has been cancelled; your waitlist request has been withdrawn`
+      );
+    }
+    const affected = this.bookingManager.bookings.filter(
+      (b) => b.flight === flight && b.isActive()
+    );
+    for (const booking of affected) {
+      let message;
+      if (booking.bookingStatus === BookingStatus.PENDING) {
+        this.bookingManager.expireHold(booking.bookingNumber);
+        outcome.released.push(booking);
+        message = "your unpaid seat hold has been released";
+      } else if (this.bookingManager.reaccommodate(booking, this.flights)) {
+        outcome.rebooked.push(booking);
+        message =
+          `you have been rebooked on ${booking.flight.flightNumber}, ` +
+          `seat ${booking.seat.seatNumber} (${booking.seatType})`;
+      } else {
+        booking.cancelBooking();
+        const payment = this.paymentProcessor.getPaymentForBooking(booking);
+        if (payment && payment.getRefundableAmount() > 0) {
+          this.paymentProcessor.refundPayment(
+            payment,
+            payment.getRefundableAmount(),
+            "Flight cancelled"
+          );
+        }
+        outcome.refunded.push(booking);
+        message =
+          "no alternative flight was available and you will be refunded";
+      }
+      this.notificationService.notify(
+        booking.passenger,
+        flight,
+        `Flight ${flightNumber} has been cancelled; ${message}`
+      );
+    }
+    return outcome;
   }
 
-  addFlight(flight) {
+  addFlight(actingUserId, flight) {
+    this.authorize(actingUserId, "addFlight", Permission.MANAGE_FLIGHTS);
+    if (this.flights.some((f) => f.flightNumber === flight.flightNumber)) {
+      throw new Error("Flight already exists");
+    }
+    this.rotationValidator.validate(flight, this.flights);
     this.flights.push(flight);
   }
 
-  registerPassenger(passenger) {
+  addCrewMember(actingUserId, member) {
+    this.authorize(actingUserId, "addCrewMember", Permission.MANAGE_CREW);
+    this.crewRoster.addMember(member);
+  }
+
+  assignCrew(actingUserId, flightNumber, crewMemberId) {
+    this.authorize(actingUserId, "assignCrew", Permission.MANAGE_CREW);
+    this.crewRoster.assign(this.getFlight(flightNumber), crewMemberId);
+  }
+
+  getUnderCrewedFlights(actingUserId) {
+    this.authorize(
+      actingUserId,
+      "getUnderCrewedFlights",
+      Permission.MANAGE_CREW
+    );
+    return this.crewRoster.getUnderCrewedFlights(this.flights);
+  }
+
+  registerPassenger(actingUserId, passenger) {
+    this.authorize(
+      actingUserId,
+      "registerPassenger",
+      Permission.MANAGE_PASSENGERS
+    );
     this.passengers.push(passenger);
   }
 
-  addUser(user) {
+  // The very first user must be an administrator and needs no acting user
+  addUser(actingUserId, user) {
+    if (this.users.length === 0) {
+      if (user.role !== UserRoles.ADMIN) {
+        throw new Error("The first user must be an administrator");
+      }
+    } else {
+      this.authorize(actingUserId, "addUser", Permission.MANAGE_USERS);
+    }
+    if (this.users.some((u) => u.id === user.id)) {
+      throw new Error("User already exists");
+    }
     this.users.push(user);
   }
 
-  searchFlights(source, destination, date) {
+  searchFlights(actingUserId, source, destination, date) {
+    this.authorize(actingUserId, "searchFlights", Permission.SEARCH_FLIGHTS);
     return this.flightSearch.searchFlights(source, destination, date);
   }
 
-  bookFlight(flightNumber, passengerId, seatNumber, price) {
-    const flight = this.flights.find((f) => f.flightNumber === flightNumber);
-    const passenger = this.passengers.find((p) => p.id === passengerId);
-    if (flight && passenger) {
-      return this.bookingManager.createBooking(
-        flight,
-        passenger,
-        seatNumber,
-        price
-      );
-    } else {
-      throw new Error("Flight or Passenger not found");
+  searchItineraries(actingUserId, source, destination, date, options) {
+    this.authorize(
+      actingUserId,
+      "searchItineraries",
+      Permission.SEARCH_FLIGHTS
+    );
+    return this.flightSearch.searchItineraries(
+      source,
+      destination,
+      date,
+      options
+    );
+  }
+
+  // Current price of a seat; pass the quoteId to bookFlight to lock it in
+  quote(actingUserId, flightNumber, seatNumber) {
+    this.authorize(actingUserId, "quote", Permission.SEARCH_FLIGHTS);
+    const flight = this.getFlight(flightNumber);
+    const seat = flight.getSeat(seatNumber);
+    if (!seat) {
+      throw new Error("Seat not found");
     }
+    return this.pricingEngine.quote(flight, seat.seatType);
   }
 
-  makePayment(bookingNumber, paymentMethod, amount) {
-    const booking = this.bookingManager.getBooking(bookingNumber);
-    if (booking) {
-      return this.paymentProcessor.processPayment(
-        booking,
-        paymentMethod,
-        amount
-      );
-    } else {
-      throw new Error("Booking not found");
+  // Without a quoteId the seat is priced at the current fare
+  bookFlight(actingUserId, flightNumber, passengerId, seatNumber, quoteId) {
+    this.authorize(
+      actingUserId,
+      "bookFlight",
+      Permission.MANAGE_ANY_BOOKING,
+      passengerId
+    );
+    const flight = this.getFlight(flightNumber);
+    const passenger = this.getPassenger(passengerId);
+    const seat = flight.getSeat(seatNumber);
+    if (!seat) {
+      throw new Error("Seat not available");
     }
+    const fareQuote = this.pricingEngine.resolveQuote(flight, seat, quoteId);
+    const booking = this.bookingManager.createBooking(
+      flight,
+      passenger,
+      seatNumber,
+      fareQuote
+    );
+    this.pricingEngine.markUsed(fareQuote);
+    return booking;
   }
 
-  cancelBooking(bookingNumber) {
-    return this.bookingManager.cancelBooking(bookingNumber);
+  // Any seat in the cabin, overbooking the flight if it allows it
+  bookCabin(actingUserId, flightNumber, passengerId, seatType) {
+    this.authorize(
+      actingUserId,
+      "bookCabin",
+      Permission.MANAGE_ANY_BOOKING,
+      passengerId
+    );
+    const flight = this.getFlight(flightNumber);
+    const fareQuote = this.pricingEngine.quote(flight, seatType);
+    const booking = this.bookingManager.createCabinBooking(
+      flight,
+      this.getPassenger(passengerId),
+      seatType,
+      fareQuote
+    );
+    this.pricingEngine.markUsed(fareQuote);
+    return booking;
+  }
+
+  // The fare is quoted now and honoured when a seat is offered
+  joinWaitlist(actingUserId, flightNumber, passengerId, seatType) {
+    this.authorize(
+      actingUserId,
+      "joinWaitlist",
+      Permission.MANAGE_ANY_BOOKING,
+      passengerId
+    );
+    const flight = this.getFlight(flightNumber);
+    return this.bookingManager.joinWaitlist(
+      flight,
+      this.getPassenger(passengerId),
+      seatType,
+      this.pricingEngine.quote(flight, seatType)
+    );
+  }
+
+  processUpgrades(actingUserId, flightNumber, options) {
+    this.authorize(actingUserId, "processUpgrades", Permission.OPERATE_FLIGHTS);
+    return this.bookingManager.processUpgrades(
+      this.getFlight(flightNumber),
+      options
+    );
+  }
+
+  // seatNumbers (and quoteIds, if given) line up with the itinerary's flights
+  bookItinerary(
+    actingUserId,
+    itinerary,
+    passengerId,
+    seatNumbers,
+    quoteIds = []
+  ) {
+    this.authorize(
+      actingUserId,
+      "bookItinerary",
+      Permission.MANAGE_ANY_BOOKING,
+      passengerId
+    );
+    const passenger = this.getPassenger(passengerId);
+    if (seatNumbers.length !== itinerary.flights.length) {
+      throw new Error("Need one seat per flight");
+    }
+    const legs = itinerary.flights.map((flight, i) => {
+      const seat = flight.getSeat(seatNumbers[i]);
+      if (!seat) {
+        throw new Error(
+          `Seat ${seatNumbers[i]} not available on ${flight.flightNumber}`
+        );
+      }
+      return {
+        flight,
+        seatNumber: seatNumbers[i],
+        fareQuote: this.pricingEngine.resolveQuote(flight, seat, quoteIds[i]),
+      };
+    });
+    const bookings = this.bookingManager.createItineraryBookings(
+      legs,
+      passenger
+    );
+    legs.forEach((leg) => this.pricingEngine.markUsed(leg.fareQuote));
+    return bookings;
+  }
+
+  makePayment(actingUserId, bookingNumber, paymentMethod, amount) {
+    const booking = this.authorizeBooking(
+      actingUserId,
+      "makePayment",
+      Permission.MANAGE_ANY_BOOKING,
+      bookingNumber
+    );
+    this.bookingManager.checkHold(booking);
+    const payment = this.paymentProcessor.processPayment(
+      booking,
+      paymentMethod,
+      amount
+    );
+    this.bookingManager.clearHold(bookingNumber);
+    return payment;
+  }
+
+  // Returns the refund outcome decided by the fare's cancellation policy
+  cancelBooking(actingUserId, bookingNumber, now = new Date()) {
+    const booking = this.authorizeBooking(
+      actingUserId,
+      "cancelBooking",
+      Permission.MANAGE_ANY_BOOKING,
+      bookingNumber
+    );
+    this.bookingManager.cancelBooking(bookingNumber);
+    return this.paymentProcessor.settleCancellation(booking, now);
+  }
+
+  refundPayment(actingUserId, paymentId, amount, reason) {
+    this.authorize(actingUserId, "refundPayment", Permission.ISSUE_REFUNDS);
+    const payment = this.paymentProcessor.getPayment(paymentId);
+    if (!payment) {
+      throw new Error("Payment not found");
+    }
+    return this.paymentProcessor.refundPayment(payment, amount, reason);
+  }
+
+  checkIn(actingUserId, bookingNumber, bagWeights, now) {
+    const booking = this.authorizeBooking(
+      actingUserId,
+      "checkIn",
+      Permission.MANAGE_ANY_BOOKING,
+      bookingNumber
+    );
+    return this.checkInService.checkIn(booking, bagWeights, now);
+  }
+
+  getBooking(actingUserId, bookingNumber) {
+    const booking = this.authorizeBooking(
+      actingUserId,
+      "getBooking",
+      Permission.VIEW_ANY_BOOKING,
+      bookingNumber
+    );
+    return booking;
+  }
+
+  getPassengerBookings(actingUserId, passengerId) {
+    this.authorize(
+      actingUserId,
+      "getPassengerBookings",
+      Permission.VIEW_ANY_BOOKING,
+      passengerId
+    );
+    return this.bookingManager.bookings.filter(
+      (b) => b.passenger.id === passengerId
+    );
+  }
+
+  getNotifications(actingUserId, passengerId) {
+    this.authorize(
+      actingUserId,
+      "getNotifications",
+      Permission.VIEW_ANY_BOOKING,
+      passengerId
+    );
+    return this.notificationService.getNotifications(passengerId);
+  }
+
+  getBoardingManifest(actingUserId, flightNumber) {
+    this.authorize(
+      actingUserId,
+      "getBoardingManifest",
+      Permission.OPERATE_FLIGHTS
+    );
+    return this.checkInService.getBoardingManifest(
+      this.getFlight(flightNumber),
+      this.bookingManager.bookings
+    );
+  }
+
+  getAuditTrail(actingUserId, filter) {
+    this.authorize(actingUserId, "getAuditTrail", Permission.VIEW_AUDIT_TRAIL);
+    return this.auditTrail.getEntries(filter);
   }
 }
 
@@ -307,8 +2358,18 @@ class AirlineManagementSystem {
 // Initialize System
 const system = new AirlineManagementSystem();
 
+// Users: the first one is the administrator; passengers act as themselves
+system.addUser(null, new User("U001", "Alice Admin", UserRoles.ADMIN));
+system.addUser("U001", new User("U002", "Sam Staff", UserRoles.STAFF));
+system.addUser("U001", new User("P001", "John Doe", UserRoles.PASSENGER));
+system.addUser("U001", new User("P002", "Jane Roe", UserRoles.PASSENGER));
+
 // Create Aircraft
-const aircraft = new Aircraft("TN123", "Boeing 777", 100);
+const aircraft = new Aircraft(
+  "TN123",
+  "Boeing 777",
+  AircraftLayouts.BOEING_777
+);
 
 // Create Flight
 const flight = new Flight(
@@ -319,7 +2380,82 @@ const flight = new Flight(
   "2024-12-01T20:00:00",
   aircraft
 );
-system.addFlight(flight);
+flight.setFares(SeatType.ECONOMY, [
+  new FareBucket("V", 500, 0.5, FareType.SAVER),
+  new FareBucket("M", 650, 0.8),
+  new FareBucket("Y", 900, Infinity, FareType.FLEXIBLE),
+]);
+flight.setFares(SeatType.BUSINESS, [
+  new FareBucket("I", 2200, 0.6),
+  new FareBucket("J", 3000, Infinity, FareType.FLEXIBLE),
+]);
+flight.setFares(SeatType.FIRST_CLASS, [new FareBucket("F", 6000)]);
+system.addFlight("U001", flight);
+
+// Create a connecting Flight
+const connectingFlight = new Flight(
+  "FL456",
+  "London",
+  "Paris",
+  "2024-12-01T21:30:00",
+  "2024-12-01T22:45:00",
+  new Aircraft("TN456", "Airbus A320", AircraftLayouts.AIRBUS_A320)
+);
+connectingFlight.setFares(SeatType.ECONOMY, [
+  new FareBucket("V", 120, 0.7, FareType.SAVER),
+  new FareBucket("Y", 180),
+]);
+connectingFlight.setFares(SeatType.BUSINESS, [new FareBucket("J", 400)]);
+connectingFlight.setOverbookingAllowance(SeatType.BUSINESS, 1);
+system.addFlight("U001", connectingFlight);
+
+// Create a later flight on the same route, used for reaccommodation
+const laterFlight = new Flight(
+  "FL789",
+  "New York",
+  "London",
+  "2024-12-01T14:00:00",
+  "2024-12-02T00:00:00",
+  new Aircraft("TN789", "Airbus A320", AircraftLayouts.AIRBUS_A320)
+);
+laterFlight.setFares(SeatType.ECONOMY, [new FareBucket("Y", 450)]);
+laterFlight.setFares(SeatType.BUSINESS, [new FareBucket("J", 2000)]);
+system.addFlight("U001", laterFlight);
+
+// TN123 cannot fly back to New York 15 minutes after landing in London
+try {
+  system.addFlight(
+    "U001",
+    new Flight(
+      "FL124",
+      "London",
+      "New York",
+      "2024-12-01T20:15:00",
+      "2024-12-02T04:00:00",
+      aircraft
+    )
+  );
+} catch (error) {
+  console.error(error.message);
+}
+
+// Crew the London-Paris flight, two short of the four cabin crew an A320 needs
+[
+  new CrewMember("C001", "Captain Kirk", CrewRole.CAPTAIN),
+  new CrewMember("C002", "Officer Sulu", CrewRole.FIRST_OFFICER),
+  new CrewMember("C003", "Uhura", CrewRole.CABIN_CREW),
+  new CrewMember("C004", "Chapel", CrewRole.CABIN_CREW),
+].forEach((member) => system.addCrewMember("U002", member));
+["C001", "C002", "C003", "C004"].forEach((id) =>
+  system.assignCrew("U002", "FL456", id)
+);
+try {
+  // The captain cannot also fly FL789, whose duty overlaps FL456
+  system.assignCrew("U002", "FL789", "C001");
+} catch (error) {
+  console.error(error.message);
+}
+console.log("Under-crewed Flights:", system.getUnderCrewedFlights("U002"));
 
 // Register Passenger
 const passenger = new Passenger(
@@ -328,27 +2464,212 @@ const passenger = new Passenger(
   "john@example.com",
   "1234567890"
 );
-system.registerPassenger(passenger);
+system.registerPassenger("U002", passenger);
 
 // Search Flights
-const flights = system.searchFlights("New York", "London", "2024-12-01");
+const flights = system.searchFlights(
+  "P001",
+  "New York",
+  "London",
+  "2024-12-01"
+);
 console.log("Available Flights:", flights);
 
-// Book Flight
+// Available business-class window seats
+const windowSeats = flight.getSeatMap({
+  seatType: SeatType.BUSINESS,
+  attributes: [SeatAttribute.WINDOW],
+  seatStatus: SeatStatus.AVAILABLE,
+});
+console.log(
+  "Business Window Seats:",
+  windowSeats.flatMap((row) => row.seats.map((seat) => seat.seatNumber))
+);
+
+// Quote and Book Flight
 try {
-  const booking = system.bookFlight("FL123", "P001", 12, 500);
+  const quote = system.quote("P001", "FL123", "12A");
+  console.log("Fare Quote:", quote.fareCode, quote.price);
+  const booking = system.bookFlight(
+    "P001",
+    "FL123",
+    "P001",
+    "12A",
+    quote.quoteId
+  );
   console.log("Booking Successful:", booking);
 
+  // Seat 12A is now on hold for P001, so nobody else can book it
+  try {
+    system.bookFlight("P001", "FL123", "P001", "12A");
+  } catch (error) {
+    console.error(error.message);
+  }
+
+  // A quote prices one booking only
+  try {
+    system.bookFlight("P001", "FL123", "P001", "12B", quote.quoteId);
+  } catch (error) {
+    console.error(error.message);
+  }
+
+  // Paying less than the quoted fare is rejected
+  try {
+    system.makePayment("P001", booking.bookingNumber, "Credit Card", 500);
+  } catch (error) {
+    console.error(error.message);
+  }
+
   // Make Payment
-  const payment = system.makePayment(booking.bookingNumber, "Credit Card", 500);
+  const payment = system.makePayment(
+    "P001",
+    booking.bookingNumber,
+    "Credit Card",
+    booking.price
+  );
   console.log("Payment Successful:", payment);
 } catch (error) {
   console.error(error.message);
 }
 
+// Search and book a connecting itinerary (both legs or neither)
+const itineraries = system.searchItineraries(
+  "P001",
+  "New York",
+  "Paris",
+  "2024-12-01",
+  {
+    maxConnections: 1,
+    sortBy: ItinerarySort.PRICE,
+  }
+);
+console.log(
+  "Itineraries:",
+  itineraries.map((itinerary) =>
+    itinerary.flights.map((f) => f.flightNumber).join(" -> ")
+  )
+);
+try {
+  const legs = system.bookItinerary("P001", itineraries[0], "P001", [
+    "14C",
+    "5A",
+  ]);
+  console.log(
+    "Itinerary Booked:",
+    legs.map((booking) => `${booking.seat.seatNumber} ${booking.price}`)
+  );
+} catch (error) {
+  console.error(error.message);
+}
+
+// Fill Business on FL456, overbook it by one and waitlist another passenger.
+// The agent books on P001's behalf.
+const waitlisted = new Passenger("P002", "Jane Roe", "jane@example.com", "555");
+system.registerPassenger("U002", waitlisted);
+const businessBookings = connectingFlight
+  .getAvailableSeats()
+  .filter((seat) => seat.seatType === SeatType.BUSINESS)
+  .map((seat) => system.bookFlight("U002", "FL456", "P001", seat.seatNumber));
+const overbooked = system.bookCabin("U002", "FL456", "P001", SeatType.BUSINESS);
+console.log("Overbooked without a seat:", overbooked.seat === null);
+system.joinWaitlist("P002", "FL456", "P002", SeatType.BUSINESS);
+for (const booking of [...businessBookings, overbooked]) {
+  system.makePayment(
+    "U002",
+    booking.bookingNumber,
+    "Credit Card",
+    booking.price
+  );
+}
+
+// A cancellation seats the overbooked passenger first. Cancelling a standard
+// fare a day and a half out refunds half of it.
+const refundOutcome = system.cancelBooking(
+  "P001",
+  businessBookings[0].bookingNumber,
+  new Date("2024-11-30T09:00:00")
+);
+console.log("Refund Outcome:", refundOutcome.refundType, refundOutcome.amount);
+console.log("Overbooked passenger seated in:", overbooked.seat.seatNumber);
+
+// The next one goes to the waitlist
+system.cancelBooking("P001", businessBookings[1].bookingNumber);
+const offer = system
+  .getPassengerBookings("P002", "P002")
+  .find((b) => b.fromWaitlist);
+console.log(
+  "Waitlist offer:",
+  offer.passenger.name,
+  offer.seat.seatNumber,
+  offer.bookingStatus
+);
+
+// Upgrade pass before departure moves confirmed passengers into empty seats
+// in higher cabins
+passenger.loyaltyPoints = 1200;
+const upgrades = system.processUpgrades("U002", "FL123", {
+  now: new Date("2024-12-01T08:00:00"),
+});
+console.log(
+  "Upgrades:",
+  upgrades.map((u) => `${u.booking.passenger.name} ${u.from} -> ${u.to}`)
+);
+
+// Check in the upgraded passenger with three bags, one of them overweight
+flight.setGate("B22");
+try {
+  const checkIn = system.checkIn(
+    "P001",
+    upgrades[0].booking.bookingNumber,
+    [20, 35, 25],
+    new Date("2024-12-01T07:00:00")
+  );
+  console.log("Boarding Pass:", checkIn.boardingPass);
+  console.log("Excess Baggage Charge:", checkIn.charge);
+  console.log(
+    "Boarding Manifest:",
+    system.getBoardingManifest("U002", "FL123")
+  );
+} catch (error) {
+  console.error(error.message);
+}
+
+// Operations: FL456 slips by 30 minutes, then FL123 is cancelled and its
+// passengers are moved to FL789, which has no First cabin
+system.delayFlight("U002", "FL456", 30);
+const flightCancellation = system.cancelFlight("U002", "FL123");
+console.log(
+  "Rebooked:",
+  flightCancellation.rebooked.map(
+    (b) => `${b.passenger.name} ${b.flight.flightNumber} ${b.seat.seatNumber}`
+  )
+);
+console.log(
+  "Notifications:",
+  system.getNotifications("P001", "P001").map((n) => n.message)
+);
+
+// Passengers cannot see each other's bookings or run flight operations
+for (const attempt of [
+  () => system.getPassengerBookings("P002", "P001"),
+  () => system.cancelFlight("P002", "FL456"),
+]) {
+  try {
+    attempt();
+  } catch (error) {
+    console.error(error.message);
+  }
+}
+console.log(
+  "Denied Actions:",
+  system
+    .getAuditTrail("U001", { allowed: false })
+    .map((entry) => `${entry.userId} ${entry.action}`)
+);
+
 // Cancel Booking
 try {
-  const cancellation = system.cancelBooking("BKG1234567890");
+  const cancellation = system.cancelBooking("U002", "BKG1234567890");
   console.log("Cancellation Successful:", cancellation);
 } catch (error) {
   console.error(error.message);
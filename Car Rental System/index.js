@@ -6,7 +6,8 @@ class Car {
     year,
     licensePlateNumber,
     rentalPricePerDay,
-    carType
+    carType,
+    rentalPricePerHour = null
   ) {
     this.make = make;
     this.model = model;
@@ -14,7 +15,21 @@ class Car {
     this.licensePlateNumber = licensePlateNumber;
     this.rentalPricePerDay = rentalPricePerDay;
     this.carType = carType;
-    this.isAvailable = true;
+    // Falls back to the pricing engine's share of the daily rate when null
+    this.rentalPricePerHour = rentalPricePerHour;
+  }
+}
+
+// Branch class
+// A branch owns its home fleet. Cars still travel: one-way rentals and
+// transfers leave them at other branches, which the calendars track.
+class Branch {
+  constructor(branchId, name, city) {
+    this.branchId = branchId;
+    this.name = name;
+    this.city = city;
+    // Map of home fleet cars, key is license plate number
+    this.cars = new Map();
   }
 }
 
@@ -27,15 +42,574 @@ class Customer {
   }
 }
 
+// Reservation statuses
+const ReservationStatus = Object.freeze({
+  RESERVED: "Reserved",
+  PICKED_UP: "Picked Up",
+  RETURNED: "Returned",
+});
+
 // Reservation class
 class Reservation {
-  constructor(reservationId, customer, car, startDate, endDate, totalPrice) {
+  constructor(
+    reservationId,
+    customer,
+    car,
+    startDate,
+    endDate,
+    totalPrice,
+    quote = null
+  ) {
     this.reservationId = reservationId;
     this.customer = customer;
     this.car = car;
     this.startDate = startDate;
     this.endDate = endDate;
     this.totalPrice = totalPrice;
+    this.quote = quote;
+    this.status = ReservationStatus.RESERVED;
+    // What the customer has paid so far
+    this.amountPaid = 0;
+    this.pickupBranchId = null;
+    this.dropoffBranchId = null;
+    // Set when a late return leaves no car for this reservation
+    this.conflict = null;
+  }
+}
+
+// FleetTransfer class
+// Moves a car between branches; the car is unavailable while in transit
+class FleetTransfer {
+  constructor(
+    transferId,
+    car,
+    fromBranchId,
+    toBranchId,
+    departTime,
+    arriveTime
+  ) {
+    this.transferId = transferId;
+    this.car = car;
+    this.fromBranchId = fromBranchId;
+    this.toBranchId = toBranchId;
+    this.departTime = departTime;
+    this.arriveTime = arriveTime;
+  }
+}
+
+// ReservationCalendar class
+// Bookings for one car as half-open intervals [pickup, return), so a car
+// returned at 10:00 can be picked up again at 10:00. Each booking also
+// records the branch the car leaves from and the one it ends up at, which
+// gives the car's location at any time.
+class ReservationCalendar {
+  constructor() {
+    // Sorted by start: { reservationId, start, end, fromBranchId, toBranchId }
+    this.bookings = [];
+  }
+
+  // Method to check whether [start, end) is free, optionally ignoring one
+  // reservation (e.g. the one being modified)
+  isFree(start, end, ignoreReservationId = null) {
+    return !this.bookings.some(
+      (booking) =>
+        booking.reservationId !== ignoreReservationId &&
+        start < booking.end &&
+        booking.start < end
+    );
+  }
+
+  // Method to add a booking
+  add(reservationId, start, end, fromBranchId = null, toBranchId = null) {
+    this.bookings.push({ reservationId, start, end, fromBranchId, toBranchId });
+    this.bookings.sort((a, b) => a.start - b.start);
+  }
+
+  // Method to move a booking to new times, keeping its branches
+  reschedule(reservationId, start, end) {
+    const booking = this.bookings.find(
+      (b) => b.reservationId === reservationId
+    );
+    booking.start = start;
+    booking.end = end;
+    this.bookings.sort((a, b) => a.start - b.start);
+  }
+
+  // Method to find where the car is at a time, starting from initialBranchId
+  // and following every booking that has ended by then
+  getLocationAt(time, initialBranchId, ignoreReservationId = null) {
+    let location = initialBranchId;
+    for (let booking of this.bookings) {
+      if (booking.reservationId === ignoreReservationId) continue;
+      if (booking.end > time) break;
+      location = booking.toBranchId || location;
+    }
+    return location;
+  }
+
+  // Helper method to check that every booking starts where the car is by
+  // then, given a proposed booking and optionally ignoring one
+  isRouteConsistent(
+    initialBranchId,
+    proposed = null,
+    ignoreReservationId = null
+  ) {
+    const bookings = this.bookings.filter(
+      (b) => b.reservationId !== ignoreReservationId
+    );
+    if (proposed) {
+      bookings.push(proposed);
+      bookings.sort((a, b) => a.start - b.start);
+    }
+    let location = initialBranchId;
+    for (let booking of bookings) {
+      if (
+        booking.fromBranchId &&
+        location &&
+        booking.fromBranchId !== location
+      ) {
+        return false;
+      }
+      location = booking.toBranchId || location;
+    }
+    return true;
+  }
+
+  // Method to list the bookings that start at a branch the car will not be
+  // at by then
+  getStrandedBookings(initialBranchId) {
+    const stranded = [];
+    let location = initialBranchId;
+    for (let booking of this.bookings) {
+      if (
+        booking.fromBranchId &&
+        location &&
+        booking.fromBranchId !== location
+      ) {
+        stranded.push(booking);
+      }
+      location = booking.toBranchId || location;
+    }
+    return stranded;
+  }
+
+  // Method to list the other bookings that overlap a booking
+  getConflicts(reservationId) {
+    const booking = this.bookings.find(
+      (b) => b.reservationId === reservationId
+    );
+    return this.bookings.filter(
+      (b) => b !== booking && b.start < booking.end && booking.start < b.end
+    );
+  }
+
+  // Method to check whether anything is booked beyond a time; bookings that
+  // are over stay on the calendar as history
+  hasBookingsAfter(time) {
+    return this.bookings.some((booking) => booking.end > time);
+  }
+
+  // Method to remove a booking
+  remove(reservationId) {
+    this.bookings = this.bookings.filter(
+      (booking) => booking.reservationId !== reservationId
+    );
+  }
+
+  // Method to list the free windows inside [from, to)
+  getFreeWindows(from, to) {
+    const windows = [];
+    let cursor = from;
+    for (let booking of this.bookings) {
+      if (booking.end <= cursor) continue;
+      if (booking.start >= to) break;
+      if (booking.start > cursor) {
+        windows.push({ start: cursor, end: booking.start });
+      }
+      cursor = booking.end;
+    }
+    if (cursor < to) {
+      windows.push({ start: cursor, end: to });
+    }
+    return windows;
+  }
+}
+
+// RentalAgreement class
+// Opened when the car is picked up and closed when it comes back. Fuel
+// levels are fractions of a full tank.
+class RentalAgreement {
+  constructor(agreementId, reservation, pickupTime, odometer, fuelLevel) {
+    this.agreementId = agreementId;
+    this.reservation = reservation;
+    this.pickupTime = pickupTime;
+    this.pickupOdometer = odometer;
+    this.pickupFuelLevel = fuelLevel;
+    this.returnTime = null;
+    this.returnOdometer = null;
+    this.returnFuelLevel = null;
+    // { description, charge }
+    this.damages = [];
+    this.invoice = null;
+    // Bookings the late return ran into: { reservationId, movedTo }
+    this.conflicts = [];
+  }
+
+  // Method to record the car coming back
+  close(returnTime, odometer, fuelLevel, damages) {
+    this.returnTime = returnTime;
+    this.returnOdometer = odometer;
+    this.returnFuelLevel = fuelLevel;
+    this.damages = damages;
+  }
+
+  // Helper method to get the distance driven
+  getDistance() {
+    return this.returnOdometer - this.pickupOdometer;
+  }
+
+  isOpen() {
+    return this.returnTime === null;
+  }
+}
+
+// Invoice class
+// The reservation's quote plus whatever the return added, reconciled
+// against what was paid up front. A negative balance is owed back.
+class Invoice {
+  constructor(reservation, extraCharges, taxRate) {
+    this.reservationId = reservation.reservationId;
+    this.rentalCharges = reservation.quote ? reservation.quote.lineItems : [];
+    this.rentalTotal = reservation.totalPrice;
+    this.extraCharges = extraCharges;
+    this.extraSubtotal = roundCents(
+      extraCharges.reduce((total, item) => total + item.amount, 0)
+    );
+    this.extraTax = roundCents(this.extraSubtotal * taxRate);
+    this.total = roundCents(
+      this.rentalTotal + this.extraSubtotal + this.extraTax
+    );
+    this.prepaid = reservation.amountPaid;
+    this.balanceDue = roundCents(this.total - this.prepaid);
+    this.settled = this.balanceDue === 0;
+  }
+}
+
+// Add-ons offered with a rental, priced per rental day
+const AddOns = Object.freeze({
+  GPS: { name: "GPS", pricePerDay: 10 },
+  CHILD_SEAT: { name: "Child seat", pricePerDay: 8 },
+  EXTRA_DRIVER: { name: "Extra driver", pricePerDay: 12 },
+});
+
+// Helper function to round to whole cents
+function roundCents(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+// RentalQuote class
+// Itemized price: every charge and discount is a line item, with tax
+// applied to their sum
+class RentalQuote {
+  constructor(car, startDate, endDate, lineItems, taxRate, options) {
+    this.licensePlateNumber = car.licensePlateNumber;
+    this.startDate = startDate;
+    this.endDate = endDate;
+    this.lineItems = lineItems;
+    this.subtotal = roundCents(
+      lineItems.reduce((total, item) => total + item.amount, 0)
+    );
+    this.tax = roundCents(this.subtotal * taxRate);
+    this.total = roundCents(this.subtotal + this.tax);
+    // The add-ons and promo code asked for, so the quote can be redone
+    this.options = options;
+  }
+}
+
+// PricingEngine class
+// Rentals under a day are charged by the hour, capped at the daily rate;
+// longer ones by the started day. Weekend and seasonal surcharges apply to
+// each rental day they cover, then the best duration discount, then any
+// promo code. Add-ons are charged per rental day and tax goes on top.
+class PricingEngine {
+  constructor() {
+    this.hourlyRateRatio = 0.2;
+    this.weekendSurchargePercent = 15;
+    // { name, from: "MM-DD", to: "MM-DD", percent }; from may be after to
+    // for a season that spans the new year
+    this.seasons = [];
+    // { minDays, percent, name }
+    this.durationDiscounts = [
+      { minDays: 30, percent: 25, name: "Monthly discount" },
+      { minDays: 7, percent: 10, name: "Weekly discount" },
+    ];
+    // Map of promo codes: { percent | amount, minDays, validUntil }
+    this.promoCodes = new Map();
+    this.taxRate = 0.1;
+    // One-way rentals: a flat fee unless the route has its own
+    this.oneWayFee = 75;
+    this.oneWayFees = new Map();
+    // Return charges
+    this.lateGraceMinutes = 30;
+    this.mileageAllowancePerDay = 200;
+    this.excessMileageRate = 0.25;
+    this.tankLiters = 50;
+    this.fuelPricePerLiter = 2.5;
+    this.refuellingFee = 15;
+  }
+
+  // Method to add a seasonal surcharge
+  addSeason(name, from, to, percent) {
+    this.seasons.push({ name, from, to, percent });
+  }
+
+  // Method to set the fee for dropping off at another branch
+  setOneWayFee(fromBranchId, toBranchId, fee) {
+    this.oneWayFees.set(`${fromBranchId}->${toBranchId}`, fee);
+  }
+
+  // Helper method to get the one-way fee between two branches
+  getOneWayFee(fromBranchId, toBranchId) {
+    if (!fromBranchId || !toBranchId || fromBranchId === toBranchId) {
+      return 0;
+    }
+    const fee = this.oneWayFees.get(`${fromBranchId}->${toBranchId}`);
+    return fee !== undefined ? fee : this.oneWayFee;
+  }
+
+  // Method to add a promo code: a percent off or a fixed amount, not both
+  addPromoCode(code, { percent, amount, minDays = 1, validUntil = null }) {
+    if ((percent === undefined) === (amount === undefined)) {
+      console.log(`Promo code ${code} needs either a percent or an amount.`);
+      return false;
+    }
+    if (percent !== undefined && !(percent > 0 && percent <= 100)) {
+      console.log(`Promo code ${code} percent must be between 0 and 100.`);
+      return false;
+    }
+    if (amount !== undefined && !(amount > 0)) {
+      console.log(`Promo code ${code} amount must be greater than zero.`);
+      return false;
+    }
+    this.promoCodes.set(code, { percent, amount, minDays, validUntil });
+    return true;
+  }
+
+  // Helper method to count started rental days (at least one)
+  getRentalDays(startDate, endDate) {
+    const oneDay = 24 * 60 * 60 * 1000;
+    return Math.max(1, Math.ceil((endDate - startDate) / oneDay));
+  }
+
+  // Helper method to find the seasons a date falls in
+  getSeasons(date) {
+    const monthDay = `${String(date.getMonth() + 1).padStart(2, "0")}-${String(
+      date.getDate()
+    ).padStart(2, "0")}`;
+    return this.seasons.filter((season) =>
+      season.from <= season.to
+        ? monthDay >= season.from && monthDay <= season.to
+        : monthDay >= season.from || monthDay <= season.to
+    );
+  }
+
+  // Helper method to get a car's hourly rate
+  getHourlyRate(car) {
+    return car.rentalPricePerHour !== null
+      ? car.rentalPricePerHour
+      : roundCents(car.rentalPricePerDay * this.hourlyRateRatio);
+  }
+
+  // Method to price what a return adds to the rental: late hours past the
+  // grace period (hourly, capped at the daily rate for each started day),
+  // distance beyond the daily allowance, fuel below the pickup level plus a
+  // refuelling fee, and any damage
+  returnCharges(agreement) {
+    const reservation = agreement.reservation;
+    const car = reservation.car;
+    const oneHour = 60 * 60 * 1000;
+    const lineItems = [];
+
+    const lateMs = agreement.returnTime - reservation.endDate;
+    if (lateMs > this.lateGraceMinutes * 60 * 1000) {
+      const lateHours = Math.ceil(lateMs / oneHour);
+      const fullDays = Math.floor(lateHours / 24);
+      const amount =
+        fullDays * car.rentalPricePerDay +
+        Math.min(
+          (lateHours % 24) * this.getHourlyRate(car),
+          car.rentalPricePerDay
+        );
+      lineItems.push({
+        description: `Late return: ${lateHours} hours`,
+        amount: roundCents(amount),
+      });
+    }
+
+    const allowance =
+      this.getRentalDays(reservation.startDate, reservation.endDate) *
+      this.mileageAllowancePerDay;
+    const excess = agreement.getDistance() - allowance;
+    if (excess > 0) {
+      lineItems.push({
+        description: `Excess mileage: ${excess} km at $${this.excessMileageRate}`,
+        amount: roundCents(excess * this.excessMileageRate),
+      });
+    }
+
+    const missingFuel = agreement.pickupFuelLevel - agreement.returnFuelLevel;
+    if (missingFuel > 0) {
+      const liters = roundCents(missingFuel * this.tankLiters);
+      lineItems.push({
+        description: `Refuelling: ${liters} liters at $${this.fuelPricePerLiter}`,
+        amount: roundCents(
+          liters * this.fuelPricePerLiter + this.refuellingFee
+        ),
+      });
+    }
+
+    for (let damage of agreement.damages) {
+      lineItems.push({
+        description: `Damage: ${damage.description}`,
+        amount: roundCents(damage.charge),
+      });
+    }
+    return lineItems;
+  }
+
+  // Method to price a rental. options: { addOns: { GPS: 1, ... }, promoCode,
+  // pickupBranchId, dropoffBranchId }
+  quote(car, startDate, endDate, options = {}) {
+    const {
+      addOns = {},
+      promoCode = null,
+      pickupBranchId = null,
+      dropoffBranchId = null,
+    } = options;
+    const oneHour = 60 * 60 * 1000;
+    const lineItems = [];
+    const days = this.getRentalDays(startDate, endDate);
+    const hours = Math.ceil((endDate - startDate) / oneHour);
+
+    // Base rental charge, one entry per rental day
+    let dailyCharges;
+    if (hours < 24) {
+      const hourlyRate = this.getHourlyRate(car);
+      const amount = Math.min(hours * hourlyRate, car.rentalPricePerDay);
+      lineItems.push({
+        description: `Rental: ${hours} hours at $${hourlyRate}`,
+        amount: roundCents(amount),
+      });
+      dailyCharges = [amount];
+    } else {
+      lineItems.push({
+        description: `Rental: ${days} days at $${car.rentalPricePerDay}`,
+        amount: roundCents(days * car.rentalPricePerDay),
+      });
+      dailyCharges = new Array(days).fill(car.rentalPricePerDay);
+    }
+
+    // Surcharges for weekend and seasonal days
+    let weekendAmount = 0;
+    let weekendDays = 0;
+    const seasonal = new Map();
+    dailyCharges.forEach((charge, i) => {
+      const day = new Date(startDate.getTime() + i * 24 * oneHour);
+      if (day.getDay() === 0 || day.getDay() === 6) {
+        weekendDays++;
+        weekendAmount += (charge * this.weekendSurchargePercent) / 100;
+      }
+      for (let season of this.getSeasons(day)) {
+        seasonal.set(
+          season.name,
+          (seasonal.get(season.name) || 0) + (charge * season.percent) / 100
+        );
+      }
+    });
+    if (weekendDays > 0) {
+      lineItems.push({
+        description: `Weekend surcharge: ${weekendDays} days at ${this.weekendSurchargePercent}%`,
+        amount: roundCents(weekendAmount),
+      });
+    }
+    for (let [name, amount] of seasonal) {
+      lineItems.push({
+        description: `Seasonal surcharge: ${name}`,
+        amount: roundCents(amount),
+      });
+    }
+    const rentalCharge = lineItems.reduce(
+      (total, item) => total + item.amount,
+      0
+    );
+
+    // The best duration discount that applies
+    const discount = this.durationDiscounts
+      .filter((d) => days >= d.minDays)
+      .sort((a, b) => b.percent - a.percent)[0];
+    let discountedCharge = rentalCharge;
+    if (discount) {
+      const amount = roundCents((rentalCharge * discount.percent) / 100);
+      lineItems.push({
+        description: `${discount.name} (${discount.percent}%)`,
+        amount: -amount,
+      });
+      discountedCharge -= amount;
+    }
+
+    // Promo code
+    if (promoCode) {
+      const promo = this.promoCodes.get(promoCode);
+      if (!promo) {
+        throw new Error(`Promo code ${promoCode} is not valid.`);
+      }
+      if (promo.validUntil && startDate > promo.validUntil) {
+        throw new Error(`Promo code ${promoCode} has expired.`);
+      }
+      if (days < promo.minDays) {
+        throw new Error(
+          `Promo code ${promoCode} needs a rental of at least ${promo.minDays} days.`
+        );
+      }
+      const amount =
+        promo.percent !== undefined
+          ? (discountedCharge * promo.percent) / 100
+          : Math.min(promo.amount, discountedCharge);
+      lineItems.push({
+        description: `Promo code ${promoCode}`,
+        amount: -roundCents(amount),
+      });
+    }
+
+    // One-way fee
+    const oneWayFee = this.getOneWayFee(pickupBranchId, dropoffBranchId);
+    if (oneWayFee > 0) {
+      lineItems.push({
+        description: `One-way fee: ${pickupBranchId} to ${dropoffBranchId}`,
+        amount: roundCents(oneWayFee),
+      });
+    }
+
+    // Add-ons
+    for (let [key, quantity] of Object.entries(addOns)) {
+      const addOn = AddOns[key];
+      if (!addOn) {
+        throw new Error(`Unknown add-on ${key}.`);
+      }
+      if (quantity > 0) {
+        lineItems.push({
+          description: `${addOn.name} x${quantity}: ${days} days at $${addOn.pricePerDay}`,
+          amount: roundCents(quantity * days * addOn.pricePerDay),
+        });
+      }
+    }
+
+    return new RentalQuote(car, startDate, endDate, lineItems, this.taxRate, {
+      addOns,
+      promoCode,
+      pickupBranchId,
+      dropoffBranchId,
+    });
   }
 }
 
@@ -44,6 +618,10 @@ class PaymentProcessor {
   processPayment(amount, paymentDetails) {
     throw new Error("Method not implemented");
   }
+
+  refundPayment(amount, paymentDetails) {
+    throw new Error("Method not implemented");
+  }
 }
 
 // CreditCardPaymentProcessor class
@@ -54,6 +632,13 @@ class CreditCardPaymentProcessor extends PaymentProcessor {
     // ... logic to process credit card payment
     return true;
   }
+
+  refundPayment(amount, paymentDetails) {
+    // Simulate refunding to the credit card
+    console.log(`Refunding credit card payment of $${amount}`);
+    // ... logic to refund credit card payment
+    return true;
+  }
 }
 
 // PayPalPaymentProcessor class
@@ -64,8 +649,22 @@ class PayPalPaymentProcessor extends PaymentProcessor {
     // ... logic to process PayPal payment
     return true;
   }
+
+  refundPayment(amount, paymentDetails) {
+    // Simulate refunding to PayPal
+    console.log(`Refunding PayPal payment of $${amount}`);
+    // ... logic to refund PayPal payment
+    return true;
+  }
 }
 
+// Fields cars can be sorted by in queryCars
+const CarSortFields = Object.freeze({
+  price: "rentalPricePerDay",
+  year: "year",
+  make: "make",
+});
+
 // RentalSystem class (Singleton)
 class RentalSystem {
   constructor() {
@@ -79,56 +678,150 @@ class RentalSystem {
     // Map of reservations, key is reservation ID
     this.reservations = new Map();
 
+    // Map of reservation calendars, key is license plate number
+    this.calendars = new Map();
+
+    // Map of branches, key is branch ID. Each branch holds its home fleet;
+    // the cars map above holds every car in the system.
+    this.branches = new Map();
+
+    // Map of fleet transfers, key is transfer ID
+    this.transfers = new Map();
+    this.nextTransferId = 1;
+
+    // How long before a booking a transfer covering for a cancelled one-way
+    // rental sets off
+    this.transferLeadTimeMs = 4 * 60 * 60 * 1000;
+
     // For generating unique reservation IDs
     this.nextReservationId = 1;
 
     // Simulate a lock for concurrent access
     this.lockedCars = new Set();
 
+    // Prices rentals
+    this.pricingEngine = new PricingEngine();
+
+    // Map of rental agreements, key is reservation ID
+    this.rentalAgreements = new Map();
+    this.nextAgreementId = 1;
+
     RentalSystem.instance = this;
 
     return this;
   }
 
-  // Method to add a car
-  addCar(car) {
+  // Method to add a branch
+  addBranch(branch) {
+    if (this.branches.has(branch.branchId)) {
+      console.log(`Branch ${branch.branchId} already exists.`);
+      return false;
+    }
+    this.branches.set(branch.branchId, branch);
+    console.log(`Branch ${branch.branchId} added.`);
+    return true;
+  }
+
+  // Method to add a car, optionally to a branch's home fleet
+  addCar(car, branchId = null) {
     if (this.cars.has(car.licensePlateNumber)) {
       console.log(
         `Car with license plate ${car.licensePlateNumber} already exists.`
       );
       return false;
     }
+    if (branchId !== null && !this.branches.has(branchId)) {
+      console.log(`Branch ${branchId} does not exist.`);
+      return false;
+    }
     this.cars.set(car.licensePlateNumber, car);
+    if (branchId !== null) {
+      this.branches.get(branchId).cars.set(car.licensePlateNumber, car);
+    }
+    this.calendars.set(car.licensePlateNumber, new ReservationCalendar());
     console.log(`Car with license plate ${car.licensePlateNumber} added.`);
     return true;
   }
 
   // Method to remove a car
-  removeCar(licensePlateNumber) {
+  removeCar(licensePlateNumber, now = new Date()) {
     if (!this.cars.has(licensePlateNumber)) {
       console.log(
         `Car with license plate ${licensePlateNumber} does not exist.`
       );
       return false;
     }
+    if (this.calendars.get(licensePlateNumber).hasBookingsAfter(now)) {
+      console.log(
+        `Car with license plate ${licensePlateNumber} has reservations.`
+      );
+      return false;
+    }
+    if (this.hasOpenAgreement(licensePlateNumber)) {
+      console.log(
+        `Car with license plate ${licensePlateNumber} is still out on rental.`
+      );
+      return false;
+    }
+    const homeBranchId = this.getHomeBranchId(licensePlateNumber);
+    if (homeBranchId !== null) {
+      this.branches.get(homeBranchId).cars.delete(licensePlateNumber);
+    }
     this.cars.delete(licensePlateNumber);
+    this.calendars.delete(licensePlateNumber);
     console.log(`Car with license plate ${licensePlateNumber} removed.`);
     return true;
   }
 
+  // Helper method to check whether a car is out on a rental that has not been
+  // returned, optionally ignoring one reservation
+  hasOpenAgreement(licensePlateNumber, ignoreReservationId = null) {
+    for (let agreement of this.rentalAgreements.values()) {
+      const reservation = agreement.reservation;
+      if (
+        reservation.reservationId !== ignoreReservationId &&
+        reservation.car.licensePlateNumber === licensePlateNumber &&
+        agreement.isOpen()
+      ) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  // Helper method to find the branch whose fleet a car belongs to
+  getHomeBranchId(licensePlateNumber) {
+    for (let branch of this.branches.values()) {
+      if (branch.cars.has(licensePlateNumber)) {
+        return branch.branchId;
+      }
+    }
+    return null;
+  }
+
   // Method to search for available cars based on criteria
   searchCars(criteria) {
-    // criteria is an object with properties to filter on
+    // criteria is an object with properties to filter on; startDate and
+    // endDate together keep only cars free for that whole period
+    const { startDate, endDate, ...properties } = criteria;
+    if (!startDate !== !endDate) {
+      console.log("Both startDate and endDate are required to search by date.");
+      return [];
+    }
+    // Cars no longer carry an availability flag; it depends on the dates
+    if ("availability" in properties) {
+      console.log("Search by startDate and endDate to find available cars.");
+      return [];
+    }
     let result = [];
     for (let car of this.cars.values()) {
       let match = true;
-      for (let key in criteria) {
-        if (key === "availability") {
-          if (car.isAvailable !== criteria[key]) {
-            match = false;
-            break;
-          }
-        } else if (car[key] !== criteria[key]) {
+      if (startDate && endDate) {
+        match = this.isCarAvailable(car, startDate, endDate);
+      }
+      for (let key in properties) {
+        if (!match) break;
+        if (car[key] !== properties[key]) {
           match = false;
           break;
         }
@@ -140,17 +833,194 @@ class RentalSystem {
     return result;
   }
 
-  // Method to make a reservation
+  // Method to query cars with ranges, sorting and cursor pagination.
+  // query: {
+  //   carTypes, makes,          lists; a car must match one entry
+  //   minPrice, maxPrice,       inclusive, on rentalPricePerDay
+  //   minYear, maxYear,         inclusive
+  //   startDate, endDate,       only cars free for the whole period
+  //   pickupBranchId,           ...that will be at this branch by then
+  //                             (without dates: that are there now)
+  //   dropoffBranchId,          ...and may be left at this one
+  //   sortBy = "price",         "price", "year" or "make"
+  //   sortOrder = "asc",        "asc" or "desc"
+  //   limit = 10, cursor        cursor is the nextCursor of the last page,
+  //                             only valid with the same sortBy and sortOrder
+  // }
+  // Facet counts leave out the facet's own filter, so picking one car type
+  // still shows how many cars the other types would add.
+  queryCars(query = {}) {
+    const {
+      sortBy = "price",
+      sortOrder = "asc",
+      limit = 10,
+      cursor = null,
+    } = query;
+    const field = CarSortFields[sortBy];
+    if (!field) {
+      console.log(`Cannot sort cars by ${sortBy}.`);
+      return null;
+    }
+    if (!Number.isInteger(limit) || limit <= 0) {
+      console.log(`Limit must be a positive integer.`);
+      return null;
+    }
+    if (!query.startDate !== !query.endDate) {
+      console.log("Both startDate and endDate are required to search by date.");
+      return null;
+    }
+    const direction = sortOrder === "desc" ? -1 : 1;
+    const compareKeys = (a, b) => {
+      const order =
+        typeof a[0] === "string" ? a[0].localeCompare(b[0]) : a[0] - b[0];
+      return order * direction || a[1].localeCompare(b[1]);
+    };
+    const keyOf = (car) => [car[field], car.licensePlateNumber];
+
+    // The cursor carries the sort it was made for, so it cannot be replayed
+    // under another one
+    let after = null;
+    if (cursor) {
+      let decoded = null;
+      try {
+        decoded = JSON.parse(Buffer.from(cursor, "base64").toString("utf8"));
+      } catch (error) {
+        decoded = null;
+      }
+      if (!decoded || !Array.isArray(decoded.key) || decoded.key.length !== 2) {
+        console.log(`Invalid cursor.`);
+        return null;
+      }
+      if (decoded.sortBy !== sortBy || decoded.direction !== direction) {
+        console.log(`Cursor was made for a different sort.`);
+        return null;
+      }
+      after = decoded.key;
+    }
+
+    const facets = { carType: {}, make: {} };
+    let matches = [];
+    for (let car of this.cars.values()) {
+      const typeMatches = this.matchesQuery(car, query, "carTypes");
+      const makeMatches = this.matchesQuery(car, query, "makes");
+      if (typeMatches) {
+        facets.carType[car.carType] = (facets.carType[car.carType] || 0) + 1;
+      }
+      if (makeMatches) {
+        facets.make[car.make] = (facets.make[car.make] || 0) + 1;
+      }
+      if (typeMatches && this.matchesQuery(car, query)) {
+        matches.push(car);
+      }
+    }
+    matches.sort((a, b) => compareKeys(keyOf(a), keyOf(b)));
+
+    const remaining = after
+      ? matches.filter((car) => compareKeys(keyOf(car), after) > 0)
+      : matches;
+    const cars = remaining.slice(0, limit);
+    const nextCursor =
+      remaining.length > limit
+        ? Buffer.from(
+            JSON.stringify({
+              sortBy,
+              direction,
+              key: keyOf(cars[cars.length - 1]),
+            })
+          ).toString("base64")
+        : null;
+    return { cars, total: matches.length, nextCursor, facets };
+  }
+
+  // Helper method to check a car against a query, optionally skipping one
+  // filter (used for facet counts)
+  matchesQuery(car, query, skip = null) {
+    const {
+      carTypes,
+      makes,
+      minPrice,
+      maxPrice,
+      minYear,
+      maxYear,
+      startDate,
+      endDate,
+      pickupBranchId,
+      dropoffBranchId,
+    } = query;
+    if (skip !== "carTypes" && carTypes && !carTypes.includes(car.carType)) {
+      return false;
+    }
+    if (skip !== "makes" && makes && !makes.includes(car.make)) {
+      return false;
+    }
+    if (minPrice !== undefined && car.rentalPricePerDay < minPrice) {
+      return false;
+    }
+    if (maxPrice !== undefined && car.rentalPricePerDay > maxPrice) {
+      return false;
+    }
+    if (minYear !== undefined && car.year < minYear) return false;
+    if (maxYear !== undefined && car.year > maxYear) return false;
+    if (startDate && endDate) {
+      return this.isCarAvailable(car, startDate, endDate, null, {
+        pickupBranchId,
+        dropoffBranchId,
+      });
+    }
+    if (pickupBranchId && this.getCarLocation(car) !== pickupBranchId) {
+      return false;
+    }
+    return true;
+  }
+
+  // Method to get an itemized price for a rental
+  getQuote(car, startDate, endDate, options = {}) {
+    if (!(startDate < endDate)) {
+      console.log(`Return time must be after pickup time.`);
+      return null;
+    }
+    try {
+      return this.pricingEngine.quote(car, startDate, endDate, options);
+    } catch (error) {
+      console.log(error.message);
+      return null;
+    }
+  }
+
+  // Method to make a reservation. options: { addOns, promoCode,
+  // pickupBranchId, dropoffBranchId }. Pickup defaults to wherever the car
+  // will be at the start, and drop-off to the pickup branch.
   makeReservation(
     customer,
     car,
     startDate,
     endDate,
     paymentProcessor,
-    paymentDetails
+    paymentDetails,
+    options = {}
   ) {
-    // Check if car is available for the given date range
-    if (!this.isCarAvailable(car, startDate, endDate)) {
+    if (!(startDate < endDate)) {
+      console.log(`Return time must be after pickup time.`);
+      return null;
+    }
+
+    const pickupBranchId =
+      options.pickupBranchId || this.getCarLocation(car, startDate);
+    const dropoffBranchId = options.dropoffBranchId || pickupBranchId;
+    for (let branchId of [pickupBranchId, dropoffBranchId]) {
+      if (branchId && !this.branches.has(branchId)) {
+        console.log(`Branch ${branchId} does not exist.`);
+        return null;
+      }
+    }
+
+    // Check if car is available for the given date range and branches
+    if (
+      !this.isCarAvailable(car, startDate, endDate, null, {
+        pickupBranchId,
+        dropoffBranchId,
+      })
+    ) {
       console.log(
         `Car ${car.licensePlateNumber} is not available for the given dates.`
       );
@@ -168,12 +1038,18 @@ class RentalSystem {
 
     try {
       // Calculate total price
-      const totalDays = this.calculateDays(startDate, endDate);
-      const totalPrice = totalDays * car.rentalPricePerDay;
+      const quote = this.getQuote(car, startDate, endDate, {
+        ...options,
+        pickupBranchId,
+        dropoffBranchId,
+      });
+      if (!quote) {
+        return null;
+      }
 
       // Process payment
       const paymentSuccess = paymentProcessor.processPayment(
-        totalPrice,
+        quote.total,
         paymentDetails
       );
       if (!paymentSuccess) {
@@ -189,11 +1065,23 @@ class RentalSystem {
         car,
         startDate,
         endDate,
-        totalPrice
+        quote.total,
+        quote
       );
+      reservation.amountPaid = quote.total;
+      reservation.pickupBranchId = pickupBranchId;
+      reservation.dropoffBranchId = dropoffBranchId;
 
-      // Update car availability
-      car.isAvailable = false;
+      // Block the dates on the car's calendar
+      this.calendars
+        .get(car.licensePlateNumber)
+        .add(
+          reservationId,
+          startDate,
+          endDate,
+          pickupBranchId,
+          dropoffBranchId
+        );
 
       // Add reservation to the map
       this.reservations.set(reservationId, reservation);
@@ -206,77 +1094,525 @@ class RentalSystem {
     }
   }
 
-  // Method to cancel a reservation
-  cancelReservation(reservationId) {
+  // Method to cancel a reservation and refund what was paid for it. Later
+  // bookings that expected the car at this reservation's drop-off branch get
+  // a short transfer just before they start.
+  cancelReservation(
+    reservationId,
+    paymentProcessor = null,
+    paymentDetails = null
+  ) {
     if (!this.reservations.has(reservationId)) {
       console.log(`Reservation ${reservationId} does not exist.`);
       return false;
     }
     const reservation = this.reservations.get(reservationId);
-    reservation.car.isAvailable = true;
+    if (reservation.status !== ReservationStatus.RESERVED) {
+      console.log(
+        `Reservation ${reservationId} can no longer be changed (${reservation.status}).`
+      );
+      return false;
+    }
+    if (reservation.amountPaid > 0) {
+      if (!paymentProcessor) {
+        console.log(`A payment processor is needed to refund the reservation.`);
+        return false;
+      }
+      if (
+        !paymentProcessor.refundPayment(reservation.amountPaid, paymentDetails)
+      ) {
+        console.log(`Refund failed for the canceled reservation.`);
+        return false;
+      }
+      reservation.amountPaid = 0;
+    }
+    const plate = reservation.car.licensePlateNumber;
+    this.calendars.get(plate).remove(reservationId);
     this.reservations.delete(reservationId);
     console.log(`Reservation ${reservationId} canceled successfully.`);
+    this.coverStrandedBookings(reservation.car);
     return true;
   }
 
-  // Helper method to check car availability
-  isCarAvailable(car, startDate, endDate) {
-    // Check if car is currently available
-    if (!car.isAvailable) {
+  // Helper method to bring a car to each booking that starts at a branch it
+  // will not be at, just before that booking starts. Bookings with no free
+  // time before them are only reported.
+  coverStrandedBookings(car) {
+    const plate = car.licensePlateNumber;
+    const calendar = this.calendars.get(plate);
+    const initialBranchId = this.getHomeBranchId(plate);
+    // A transfer can put the car back on track for later bookings too, so
+    // look again after each one
+    const handled = new Set();
+    const nextStranded = () =>
+      calendar
+        .getStrandedBookings(initialBranchId)
+        .find((b) => !handled.has(b.reservationId));
+    for (let booking = nextStranded(); booking; booking = nextStranded()) {
+      handled.add(booking.reservationId);
+      const windows = calendar.getFreeWindows(
+        new Date(booking.start.getTime() - this.transferLeadTimeMs),
+        booking.start
+      );
+      const slot = windows[windows.length - 1];
+      if (!slot || slot.end.getTime() !== booking.start.getTime()) {
+        console.log(
+          `Car ${plate} cannot reach ${booking.fromBranchId} in time for ${booking.reservationId}.`
+        );
+        continue;
+      }
+      this.createTransfer(
+        car,
+        calendar.getLocationAt(slot.start, initialBranchId),
+        booking.fromBranchId,
+        slot.start,
+        slot.end
+      );
+    }
+  }
+
+  // Helper method to check car availability. With branches, the car must
+  // be at the pickup branch when the booking starts, and every later booking
+  // must still start where the car will be.
+  isCarAvailable(
+    car,
+    startDate,
+    endDate,
+    ignoreReservationId = null,
+    { pickupBranchId = null, dropoffBranchId = null } = {}
+  ) {
+    const calendar = this.calendars.get(car.licensePlateNumber);
+    if (
+      calendar === undefined ||
+      !calendar.isFree(startDate, endDate, ignoreReservationId)
+    ) {
       return false;
     }
-    // Check if car is reserved in the given date range
-    for (let reservation of this.reservations.values()) {
-      if (reservation.car.licensePlateNumber === car.licensePlateNumber) {
-        if (
-          this.isDateOverlap(
-            startDate,
-            endDate,
-            reservation.startDate,
-            reservation.endDate
-          )
-        ) {
-          return false;
-        }
+    const initialBranchId = this.getHomeBranchId(car.licensePlateNumber);
+    const location = calendar.getLocationAt(
+      startDate,
+      initialBranchId,
+      ignoreReservationId
+    );
+    if (pickupBranchId && location && location !== pickupBranchId) {
+      return false;
+    }
+    return calendar.isRouteConsistent(
+      initialBranchId,
+      {
+        reservationId: null,
+        start: startDate,
+        end: endDate,
+        fromBranchId: pickupBranchId || location,
+        toBranchId: dropoffBranchId || pickupBranchId || location,
+      },
+      ignoreReservationId
+    );
+  }
+
+  // Method to find which branch a car is at (or will be at) at a time
+  getCarLocation(car, time = new Date()) {
+    const calendar = this.calendars.get(car.licensePlateNumber);
+    if (!calendar) {
+      return null;
+    }
+    return calendar.getLocationAt(
+      time,
+      this.getHomeBranchId(car.licensePlateNumber)
+    );
+  }
+
+  // Method to list the cars parked at a branch at a time
+  getBranchFleet(branchId, time = new Date()) {
+    const fleet = [];
+    for (let car of this.cars.values()) {
+      if (
+        this.getCarLocation(car, time) === branchId &&
+        this.calendars
+          .get(car.licensePlateNumber)
+          .isFree(time, new Date(time.getTime() + 1))
+      ) {
+        fleet.push(car);
       }
     }
+    return fleet;
+  }
+
+  // Method to move a car to another branch between two times
+  transferCar(licensePlateNumber, toBranchId, departTime, arriveTime) {
+    const car = this.cars.get(licensePlateNumber);
+    if (!car) {
+      console.log(
+        `Car with license plate ${licensePlateNumber} does not exist.`
+      );
+      return null;
+    }
+    if (!this.branches.has(toBranchId)) {
+      console.log(`Branch ${toBranchId} does not exist.`);
+      return null;
+    }
+    if (!(departTime < arriveTime)) {
+      console.log(`Arrival must be after departure.`);
+      return null;
+    }
+    const fromBranchId = this.getCarLocation(car, departTime);
+    if (
+      !this.isCarAvailable(car, departTime, arriveTime, null, {
+        pickupBranchId: fromBranchId,
+        dropoffBranchId: toBranchId,
+      })
+    ) {
+      console.log(
+        `Car ${licensePlateNumber} cannot be transferred at that time.`
+      );
+      return null;
+    }
+    return this.createTransfer(
+      car,
+      fromBranchId,
+      toBranchId,
+      departTime,
+      arriveTime
+    );
+  }
+
+  // Helper method to record a transfer and block the car while in transit
+  createTransfer(car, fromBranchId, toBranchId, departTime, arriveTime) {
+    const transferId = `TRF${this.nextTransferId++}`;
+    const transfer = new FleetTransfer(
+      transferId,
+      car,
+      fromBranchId,
+      toBranchId,
+      departTime,
+      arriveTime
+    );
+    this.calendars
+      .get(car.licensePlateNumber)
+      .add(transferId, departTime, arriveTime, fromBranchId, toBranchId);
+    this.transfers.set(transferId, transfer);
+    console.log(
+      `Car ${car.licensePlateNumber} transferring from ${fromBranchId} to ${toBranchId} (${transferId}).`
+    );
+    return transfer;
+  }
+
+  // Method to cancel a transfer, unless a later booking relies on it
+  cancelTransfer(transferId) {
+    const transfer = this.transfers.get(transferId);
+    if (!transfer) {
+      console.log(`Transfer ${transferId} does not exist.`);
+      return false;
+    }
+    const plate = transfer.car.licensePlateNumber;
+    const calendar = this.calendars.get(plate);
+    if (
+      !calendar.isRouteConsistent(this.getHomeBranchId(plate), null, transferId)
+    ) {
+      console.log(
+        `Transfer ${transferId} cannot be canceled: a later pickup needs it.`
+      );
+      return false;
+    }
+    calendar.remove(transferId);
+    this.transfers.delete(transferId);
+    console.log(`Transfer ${transferId} canceled successfully.`);
     return true;
   }
 
-  // Helper method to check date overlap
-  isDateOverlap(start1, end1, start2, end2) {
-    return start1 <= end2 && end1 >= start2;
+  // Method to list when a car is free between two dates
+  getFreeWindows(licensePlateNumber, from, to) {
+    const calendar = this.calendars.get(licensePlateNumber);
+    if (!calendar) {
+      console.log(
+        `Car with license plate ${licensePlateNumber} does not exist.`
+      );
+      return [];
+    }
+    return calendar.getFreeWindows(from, to);
+  }
+
+  // Method to build a fleet availability grid. The range is cut into slots
+  // (one day by default) and each car gets one entry per slot: true when it
+  // is free for the whole slot.
+  getAvailabilityGrid(from, to, slotMs = 24 * 60 * 60 * 1000) {
+    const slots = [];
+    for (let time = from.getTime(); time < to.getTime(); time += slotMs) {
+      slots.push({
+        start: new Date(time),
+        end: new Date(Math.min(time + slotMs, to.getTime())),
+      });
+    }
+    const rows = [];
+    for (let car of this.cars.values()) {
+      rows.push({
+        licensePlateNumber: car.licensePlateNumber,
+        slots: slots.map((slot) =>
+          this.isCarAvailable(car, slot.start, slot.end)
+        ),
+      });
+    }
+    return { slots, rows };
   }
 
-  // Helper method to calculate total days
+  // Helper method to calculate total days: every started day counts, so a
+  // same-day return is one day
   calculateDays(startDate, endDate) {
-    const oneDay = 24 * 60 * 60 * 1000;
-    const diffDays = Math.round(Math.abs((endDate - startDate) / oneDay));
-    return diffDays + 1;
+    return this.pricingEngine.getRentalDays(startDate, endDate);
   }
 
-  // Method to modify a reservation
-  modifyReservation(reservationId, newStartDate, newEndDate) {
+  // Method to modify a reservation's dates. The new price is settled
+  // against what was already paid: the difference is charged or refunded.
+  modifyReservation(
+    reservationId,
+    newStartDate,
+    newEndDate,
+    paymentProcessor = null,
+    paymentDetails = null
+  ) {
     if (!this.reservations.has(reservationId)) {
       console.log(`Reservation ${reservationId} does not exist.`);
       return false;
     }
     const reservation = this.reservations.get(reservationId);
+    if (reservation.status !== ReservationStatus.RESERVED) {
+      console.log(
+        `Reservation ${reservationId} can no longer be changed (${reservation.status}).`
+      );
+      return false;
+    }
+
+    if (!(newStartDate < newEndDate)) {
+      console.log(`Return time must be after pickup time.`);
+      return false;
+    }
 
-    // Check if car is available for new dates
-    if (!this.isCarAvailable(reservation.car, newStartDate, newEndDate)) {
+    // Check if car is available for new dates, ignoring its current booking
+    if (
+      !this.isCarAvailable(
+        reservation.car,
+        newStartDate,
+        newEndDate,
+        reservationId,
+        {
+          pickupBranchId: reservation.pickupBranchId,
+          dropoffBranchId: reservation.dropoffBranchId,
+        }
+      )
+    ) {
       console.log(
         `Car ${reservation.car.licensePlateNumber} is not available for the new dates.`
       );
       return false;
     }
 
+    // Reprice with the same add-ons and promo code
+    const options = reservation.quote ? reservation.quote.options : {};
+    const quote = this.getQuote(
+      reservation.car,
+      newStartDate,
+      newEndDate,
+      options
+    );
+    if (!quote) {
+      return false;
+    }
+
+    // Settle the price difference
+    const difference = roundCents(quote.total - reservation.amountPaid);
+    if (difference !== 0) {
+      if (!paymentProcessor) {
+        console.log(`A payment processor is needed to settle the new price.`);
+        return false;
+      }
+      const settled =
+        difference > 0
+          ? paymentProcessor.processPayment(difference, paymentDetails)
+          : paymentProcessor.refundPayment(-difference, paymentDetails);
+      if (!settled) {
+        console.log(`Payment failed for the modified reservation.`);
+        return false;
+      }
+    }
+
+    this.calendars
+      .get(reservation.car.licensePlateNumber)
+      .reschedule(reservationId, newStartDate, newEndDate);
     reservation.startDate = newStartDate;
     reservation.endDate = newEndDate;
-    console.log(`Reservation ${reservationId} modified successfully.`);
+    reservation.quote = quote;
+    reservation.totalPrice = quote.total;
+    reservation.amountPaid = quote.total;
+    // The new dates are clear of the car's other bookings
+    reservation.conflict = null;
+    console.log(
+      `Reservation ${reservationId} modified successfully. New total: $${quote.total}`
+    );
     return true;
   }
 
+  // Method to hand over the car and open a rental agreement
+  pickupCar(reservationId, odometer, fuelLevel, pickupTime = new Date()) {
+    const reservation = this.reservations.get(reservationId);
+    if (!reservation) {
+      console.log(`Reservation ${reservationId} does not exist.`);
+      return null;
+    }
+    if (reservation.status !== ReservationStatus.RESERVED) {
+      console.log(
+        `Reservation ${reservationId} can no longer be changed (${reservation.status}).`
+      );
+      return null;
+    }
+    if (!(fuelLevel >= 0 && fuelLevel <= 1)) {
+      console.log(`Fuel level must be between 0 and 1.`);
+      return null;
+    }
+    if (reservation.conflict) {
+      console.log(
+        `Reservation ${reservationId} cannot be picked up: ${reservation.conflict}`
+      );
+      return null;
+    }
+    const plate = reservation.car.licensePlateNumber;
+    if (this.hasOpenAgreement(plate, reservationId)) {
+      console.log(`Car ${plate} has not been returned from its last rental.`);
+      return null;
+    }
+    const agreement = new RentalAgreement(
+      this.nextAgreementId++,
+      reservation,
+      pickupTime,
+      odometer,
+      fuelLevel
+    );
+    reservation.status = ReservationStatus.PICKED_UP;
+    this.rentalAgreements.set(reservationId, agreement);
+    console.log(
+      `Car ${plate} picked up under agreement ${agreement.agreementId}.`
+    );
+    return agreement;
+  }
+
+  // Method to take the car back, close the agreement and settle the final
+  // invoice. damages: [{ description, charge }]
+  returnCar(
+    reservationId,
+    odometer,
+    fuelLevel,
+    paymentProcessor,
+    paymentDetails,
+    { returnTime = new Date(), damages = [] } = {}
+  ) {
+    const agreement = this.rentalAgreements.get(reservationId);
+    if (!agreement || !agreement.isOpen()) {
+      console.log(`Reservation ${reservationId} has no open rental.`);
+      return null;
+    }
+    if (odometer < agreement.pickupOdometer) {
+      console.log(`Odometer reading is lower than at pickup.`);
+      return null;
+    }
+    if (!(fuelLevel >= 0 && fuelLevel <= 1)) {
+      console.log(`Fuel level must be between 0 and 1.`);
+      return null;
+    }
+
+    agreement.close(returnTime, odometer, fuelLevel, damages);
+    const reservation = agreement.reservation;
+    const invoice = new Invoice(
+      reservation,
+      this.pricingEngine.returnCharges(agreement),
+      this.pricingEngine.taxRate
+    );
+    agreement.invoice = invoice;
+    reservation.status = ReservationStatus.RETURNED;
+
+    // The car is booked until it actually came back
+    this.calendars
+      .get(reservation.car.licensePlateNumber)
+      .reschedule(reservationId, reservation.startDate, returnTime);
+    agreement.conflicts = this.resolveConflicts(reservation);
+
+    if (invoice.balanceDue > 0) {
+      if (paymentProcessor.processPayment(invoice.balanceDue, paymentDetails)) {
+        reservation.amountPaid = roundCents(
+          reservation.amountPaid + invoice.balanceDue
+        );
+        invoice.settled = true;
+      } else {
+        console.log(`Payment failed for the final invoice.`);
+      }
+    } else if (invoice.balanceDue < 0) {
+      if (paymentProcessor.refundPayment(-invoice.balanceDue, paymentDetails)) {
+        reservation.amountPaid = roundCents(
+          reservation.amountPaid + invoice.balanceDue
+        );
+        invoice.settled = true;
+      } else {
+        console.log(`Refund failed for the final invoice.`);
+      }
+    }
+    console.log(
+      `Car ${reservation.car.licensePlateNumber} returned. Invoice total: $${invoice.total}`
+    );
+    return invoice;
+  }
+
+  // Helper method to deal with bookings a late return ran into. Each
+  // reservation is moved to a free car of the same type where possible and
+  // flagged otherwise; transfers are only reported.
+  resolveConflicts(reservation) {
+    const plate = reservation.car.licensePlateNumber;
+    const calendar = this.calendars.get(plate);
+    const conflicts = [];
+    for (let booking of calendar.getConflicts(reservation.reservationId)) {
+      const next = this.reservations.get(booking.reservationId);
+      if (!next || next.status !== ReservationStatus.RESERVED) {
+        console.log(
+          `Car ${plate} is late for ${booking.reservationId}; reschedule it.`
+        );
+        conflicts.push({ reservationId: booking.reservationId, movedTo: null });
+        continue;
+      }
+      const replacement = [...this.cars.values()].find(
+        (car) =>
+          car !== next.car &&
+          car.carType === next.car.carType &&
+          this.isCarAvailable(car, next.startDate, next.endDate, null, {
+            pickupBranchId: next.pickupBranchId,
+            dropoffBranchId: next.dropoffBranchId,
+          })
+      );
+      if (replacement) {
+        calendar.remove(next.reservationId);
+        this.calendars
+          .get(replacement.licensePlateNumber)
+          .add(
+            next.reservationId,
+            next.startDate,
+            next.endDate,
+            next.pickupBranchId,
+            next.dropoffBranchId
+          );
+        next.car = replacement;
+        console.log(
+          `Reservation ${next.reservationId} moved to car ${replacement.licensePlateNumber}.`
+        );
+      } else {
+        next.conflict = `Car ${plate} was returned late from reservation ${reservation.reservationId}.`;
+        console.log(
+          `Reservation ${next.reservationId} has no car available: ${next.conflict}`
+        );
+      }
+      conflicts.push({
+        reservationId: next.reservationId,
+        movedTo: replacement ? replacement.licensePlateNumber : null,
+      });
+    }
+    return conflicts;
+  }
+
   // Method to process payments (if needed)
   processPayment(amount, paymentProcessor, paymentDetails) {
     return paymentProcessor.processPayment(amount, paymentDetails);
@@ -294,9 +1630,13 @@ class CarRentalSystem {
     const car2 = new Car("Honda", "Civic", 2019, "XYZ789", 45, "Sedan");
     const car3 = new Car("Ford", "Explorer", 2021, "DEF456", 70, "SUV");
 
-    rentalSystem.addCar(car1);
-    rentalSystem.addCar(car2);
-    rentalSystem.addCar(car3);
+    // Add two branches; the sedans start at the airport, the SUV downtown
+    rentalSystem.addBranch(new Branch("SFO", "Airport", "San Francisco"));
+    rentalSystem.addBranch(new Branch("DTN", "Downtown", "San Francisco"));
+
+    rentalSystem.addCar(car1, "SFO");
+    rentalSystem.addCar(car2, "SFO");
+    rentalSystem.addCar(car3, "DTN");
 
     // Create a customer
     const customer = new Customer(
@@ -305,16 +1645,9 @@ class CarRentalSystem {
       "D1234567"
     );
 
-    // Search for available cars
-    const availableCars = rentalSystem.searchCars({
-      carType: "Sedan",
-      availability: true,
-    });
-    console.log("Available Cars:", availableCars);
-
     // Make a reservation
-    const startDate = new Date("2023-12-01");
-    const endDate = new Date("2023-12-05");
+    const startDate = new Date("2023-12-01T10:00:00");
+    const endDate = new Date("2023-12-05T10:00:00");
     const paymentProcessor = new CreditCardPaymentProcessor();
     const paymentDetails = {
       cardNumber: "4111111111111111",
@@ -322,29 +1655,214 @@ class CarRentalSystem {
       cvv: "123",
     };
 
+    // Holiday season and a promo code
+    rentalSystem.pricingEngine.addSeason("Holidays", "12-20", "01-05", 30);
+    rentalSystem.pricingEngine.addPromoCode("WINTER10", {
+      percent: 10,
+      minDays: 3,
+    });
+
     const reservation = rentalSystem.makeReservation(
       customer,
       car1,
       startDate,
       endDate,
       paymentProcessor,
+      paymentDetails,
+      { addOns: { GPS: 1, CHILD_SEAT: 2 }, promoCode: "WINTER10" }
+    );
+    if (reservation) {
+      console.log("Quote:", reservation.quote.lineItems);
+      console.log("Total:", reservation.quote.total);
+    }
+
+    // A same-day rental is charged by the hour
+    const shortQuote = rentalSystem.getQuote(
+      car3,
+      new Date("2023-12-22T09:00:00"),
+      new Date("2023-12-22T13:00:00")
+    );
+    console.log("Short Rental:", shortQuote.lineItems, shortQuote.total);
+
+    // The same car can still be booked for other dates, including a pickup
+    // at the exact time the first rental is returned
+    const laterReservation = rentalSystem.makeReservation(
+      customer,
+      car1,
+      new Date("2023-12-05T10:00:00"),
+      new Date("2023-12-07T10:00:00"),
+      paymentProcessor,
       paymentDetails
     );
 
+    // Search for sedans free over the first week of December
+    const availableCars = rentalSystem.searchCars({
+      carType: "Sedan",
+      startDate: new Date("2023-12-01T10:00:00"),
+      endDate: new Date("2023-12-08T10:00:00"),
+    });
+    console.log("Available Cars:", availableCars);
+
+    // Sedans and SUVs under $80 a day from 2019 on that are free for the
+    // period, cheapest first, one per page
+    const query = {
+      carTypes: ["Sedan", "SUV"],
+      maxPrice: 80,
+      minYear: 2019,
+      startDate: new Date("2023-12-02T10:00:00"),
+      endDate: new Date("2023-12-04T10:00:00"),
+      sortBy: "price",
+      limit: 1,
+    };
+    let page = rentalSystem.queryCars(query);
+    console.log("Matching Cars:", page.total, "Facets:", page.facets);
+    while (page) {
+      console.log(
+        "Page:",
+        page.cars.map((car) => `${car.make} ${car.model}`)
+      );
+      page = page.nextCursor
+        ? rentalSystem.queryCars({ ...query, cursor: page.nextCursor })
+        : null;
+    }
+
+    // Free windows for the Camry and a fleet grid for the first week
+    console.log(
+      "Free Windows:",
+      rentalSystem.getFreeWindows(
+        "ABC123",
+        new Date("2023-12-01T00:00:00"),
+        new Date("2023-12-10T00:00:00")
+      )
+    );
+    const grid = rentalSystem.getAvailabilityGrid(
+      new Date("2023-12-01T00:00:00"),
+      new Date("2023-12-08T00:00:00")
+    );
+    for (let row of grid.rows) {
+      console.log(
+        row.licensePlateNumber,
+        row.slots.map((free) => (free ? "." : "X")).join("")
+      );
+    }
+
     // Modify a reservation
     if (reservation) {
-      const newStartDate = new Date("2023-12-02");
-      const newEndDate = new Date("2023-12-06");
+      const newStartDate = new Date("2023-12-02T10:00:00");
+      const newEndDate = new Date("2023-12-05T10:00:00");
       rentalSystem.modifyReservation(
         reservation.reservationId,
         newStartDate,
-        newEndDate
+        newEndDate,
+        paymentProcessor,
+        paymentDetails
       );
     }
 
-    // Cancel a reservation
+    // Pick up the later rental and bring it back three hours late, with
+    // extra distance, a quarter tank missing and a scratched bumper
+    if (laterReservation) {
+      rentalSystem.pickupCar(
+        laterReservation.reservationId,
+        12000,
+        1,
+        new Date("2023-12-05T10:00:00")
+      );
+      const invoice = rentalSystem.returnCar(
+        laterReservation.reservationId,
+        12550,
+        0.75,
+        paymentProcessor,
+        paymentDetails,
+        {
+          returnTime: new Date("2023-12-07T13:00:00"),
+          damages: [{ description: "Scratched rear bumper", charge: 120 }],
+        }
+      );
+      console.log("Invoice:", invoice);
+
+      // A returned rental can no longer be cancelled
+      rentalSystem.cancelReservation(
+        laterReservation.reservationId,
+        paymentProcessor,
+        paymentDetails
+      );
+    }
+
+    // One-way rental: take the SUV from downtown and leave it at the airport
+    const oneWay = rentalSystem.makeReservation(
+      customer,
+      car3,
+      new Date("2023-12-10T10:00:00"),
+      new Date("2023-12-12T10:00:00"),
+      paymentProcessor,
+      paymentDetails,
+      { pickupBranchId: "DTN", dropoffBranchId: "SFO" }
+    );
+    if (oneWay) {
+      console.log("One-way quote:", oneWay.quote.lineItems);
+    }
+
+    // The SUV is at the airport afterwards, so a downtown pickup fails
+    // until it is transferred back
+    const downtownStart = new Date("2023-12-13T10:00:00");
+    const downtownEnd = new Date("2023-12-14T10:00:00");
+    rentalSystem.makeReservation(
+      customer,
+      car3,
+      downtownStart,
+      downtownEnd,
+      paymentProcessor,
+      paymentDetails,
+      { pickupBranchId: "DTN" }
+    );
+    rentalSystem.transferCar(
+      "DEF456",
+      "DTN",
+      new Date("2023-12-12T14:00:00"),
+      new Date("2023-12-12T18:00:00")
+    );
+    rentalSystem.makeReservation(
+      customer,
+      car3,
+      downtownStart,
+      downtownEnd,
+      paymentProcessor,
+      paymentDetails,
+      { pickupBranchId: "DTN" }
+    );
+
+    // Cars parked at the airport while the SUV is there
+    console.log(
+      "Airport fleet on Dec 12, noon:",
+      rentalSystem
+        .getBranchFleet("SFO", new Date("2023-12-12T12:00:00"))
+        .map((car) => car.licensePlateNumber)
+    );
+    console.log("Airport home fleet:", [
+      ...rentalSystem.branches.get("SFO").cars.keys(),
+    ]);
+
+    // Cancelling the one-way rental refunds it and would leave the SUV
+    // downtown, where the transfer back from the airport (TRF1) starts, so
+    // the SUV is driven to the airport just before TRF1. TRF1 is still
+    // needed by the later downtown pickup and cannot be cancelled.
+    if (oneWay) {
+      rentalSystem.cancelReservation(
+        oneWay.reservationId,
+        paymentProcessor,
+        paymentDetails
+      );
+      rentalSystem.cancelTransfer("TRF1");
+    }
+
+    // Cancel the reservation
     if (reservation) {
-      rentalSystem.cancelReservation(reservation.reservationId);
+      rentalSystem.cancelReservation(
+        reservation.reservationId,
+        paymentProcessor,
+        paymentDetails
+      );
     }
   }
 }